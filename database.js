@@ -0,0 +1,1187 @@
+const { Pool, types } = require('pg');
+const { REPAYMENT_TYPES, round2, interestOnlyPortion, monthlyPayment } = require('./services/mortgageMath');
+const { parseEarlyRepaymentCharges } = require('./services/ercParser');
+const { LENDER_TYPES, SEED_LENDERS, matchLender, applyLender } = require('./services/lenderDirectory');
+const { mergeDeals } = require('./services/dealMerger');
+const { fingerprint, productKey, screenDeals: screen } = require('./services/dealValidator');
+const { FILTERS } = require('./services/dealQuery');
+const { BASE_RATE, isTracker } = require('./services/rateScenarios');
+require('dotenv').config();
+
+// DATE columns stay 'YYYY-MM-DD' strings: parsed as local midnight they shift a day on hosts ahead of UTC
+types.setTypeParser(types.builtins.DATE, value => value);
+
+// Database connection
+console.log('DATABASE_URL set:', !!process.env.DATABASE_URL);
+
+if (!process.env.DATABASE_URL) {
+  console.error('WARNING: DATABASE_URL is not set!');
+}
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL || 'postgresql://localhost:5432/mortgage_optimizer',
+  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+});
+
+// Initialize database tables
+async function initDatabase() {
+  try {
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS deals (
+        id SERIAL PRIMARY KEY,
+        lender_name VARCHAR(255) NOT NULL,
+        product_name VARCHAR(255) NOT NULL,
+        interest_rate DECIMAL(5,2) NOT NULL,
+        deal_type VARCHAR(50),
+        term_years INT,
+        max_ltv DECIMAL(5,2),
+        arrangement_fee DECIMAL(10,2) DEFAULT 0,
+        valuation_fee DECIMAL(10,2) DEFAULT 0,
+        legal_fees DECIMAL(10,2) DEFAULT 0,
+        cashback DECIMAL(10,2) DEFAULT 0,
+        free_valuation BOOLEAN DEFAULT FALSE,
+        free_legal_work BOOLEAN DEFAULT FALSE,
+        overpayment_allowance DECIMAL(5,2),
+        early_repayment_charges TEXT,
+        lender_type VARCHAR(100) DEFAULT 'UK Mainstream',
+        source VARCHAR(100),
+        scraped_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(lender_name, product_name, interest_rate)
+      )
+    `);
+
+    await pool.query('ALTER TABLE deals ADD COLUMN IF NOT EXISTS erc_tiers JSONB');
+
+    await pool.query('ALTER TABLE deals ADD COLUMN IF NOT EXISTS first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP');
+    await pool.query('ALTER TABLE deals ADD COLUMN IF NOT EXISTS last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP');
+    await pool.query('ALTER TABLE deals ADD COLUMN IF NOT EXISTS withdrawn_at TIMESTAMP');
+    await pool.query('ALTER TABLE deals ADD COLUMN IF NOT EXISTS parse_confidence DECIMAL(3,2)');
+
+    // Trackers are priced as a margin over base rate, never below the collar
+    await pool.query('ALTER TABLE deals ADD COLUMN IF NOT EXISTS tracker_margin DECIMAL(5,2)');
+    await pool.query('ALTER TABLE deals ADD COLUMN IF NOT EXISTS rate_collar DECIMAL(5,2)');
+    await pool.query(
+      "UPDATE deals SET tracker_margin = interest_rate - $1 WHERE deal_type = 'Tracker' AND tracker_margin IS NULL",
+      [BASE_RATE]
+    );
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS lenders (
+        id SERIAL PRIMARY KEY,
+        canonical_name VARCHAR(255) NOT NULL UNIQUE,
+        aliases TEXT[] DEFAULT '{}',
+        lender_type VARCHAR(50) NOT NULL DEFAULT 'mainstream',
+        svr_rate DECIMAL(5,2),
+        website VARCHAR(255),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    for (const lender of SEED_LENDERS) {
+      await pool.query(
+        `INSERT INTO lenders (canonical_name, aliases, lender_type, website)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (canonical_name) DO NOTHING`,
+        [lender.canonicalName, lender.aliases, lender.lenderType, lender.website]
+      );
+    }
+
+    // Null until an admin records whether the lender takes interest-only borrowing
+    await pool.query('ALTER TABLE lenders ADD COLUMN IF NOT EXISTS offers_interest_only BOOLEAN');
+
+    // Every source that has listed this exact row; deals.source is the first
+    await pool.query("ALTER TABLE deals ADD COLUMN IF NOT EXISTS seen_sources TEXT[] DEFAULT '{}'");
+    await pool.query("UPDATE deals SET seen_sources = ARRAY[source] WHERE seen_sources = '{}' AND source IS NOT NULL");
+    await pool.query('ALTER TABLE deals ADD COLUMN IF NOT EXISTS lender_id INT REFERENCES lenders(id) ON DELETE SET NULL');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS deal_snapshots (
+        id SERIAL PRIMARY KEY,
+        deal_id INT REFERENCES deals(id) ON DELETE CASCADE,
+        source VARCHAR(100),
+        interest_rate DECIMAL(5,2) NOT NULL,
+        deal_type VARCHAR(50),
+        term_years INT,
+        max_ltv DECIMAL(5,2),
+        arrangement_fee DECIMAL(10,2) DEFAULT 0,
+        valuation_fee DECIMAL(10,2) DEFAULT 0,
+        legal_fees DECIMAL(10,2) DEFAULT 0,
+        cashback DECIMAL(10,2) DEFAULT 0,
+        scraped_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await pool.query('CREATE INDEX IF NOT EXISTS deal_snapshots_deal_id_idx ON deal_snapshots (deal_id)');
+
+    // When each source last listed a deal; a deal is withdrawn once every source has dropped it
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS deal_sources (
+        deal_id INT NOT NULL REFERENCES deals(id) ON DELETE CASCADE,
+        source VARCHAR(100) NOT NULL,
+        last_seen_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        withdrawn_at TIMESTAMP,
+        PRIMARY KEY (deal_id, source)
+      )
+    `);
+    await pool.query(`
+      INSERT INTO deal_sources (deal_id, source, last_seen_at, withdrawn_at)
+      SELECT id, unnest(seen_sources), last_seen_at, withdrawn_at FROM deals
+      ON CONFLICT (deal_id, source) DO NOTHING
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS deal_snapshots_scraped_at_idx ON deal_snapshots (scraped_at)');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS scrape_logs (
+        id SERIAL PRIMARY KEY,
+        source VARCHAR(100),
+        status VARCHAR(50),
+        deals_found INT,
+        error_message TEXT,
+        scraped_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Run details for scraper health; status is success, empty or error
+    await pool.query('ALTER TABLE scrape_logs ADD COLUMN IF NOT EXISTS duration_ms INT');
+    await pool.query('ALTER TABLE scrape_logs ADD COLUMN IF NOT EXISTS pages_loaded INT');
+    await pool.query('ALTER TABLE scrape_logs ADD COLUMN IF NOT EXISTS cards_matched INT');
+    await pool.query('ALTER TABLE scrape_logs ADD COLUMN IF NOT EXISTS quarantined INT');
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_scrape_logs_source_time ON scrape_logs(source, scraped_at DESC)');
+
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS profiles (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255),
+        email VARCHAR(255),
+        phone_number VARCHAR(50),
+        outstanding_balance DECIMAL(12,2) NOT NULL,
+        property_value DECIMAL(12,2) NOT NULL,
+        remaining_term_years INT DEFAULT 25,
+        current_rate DECIMAL(5,2),
+        current_monthly_payment DECIMAL(10,2),
+        current_lender VARCHAR(255),
+        deal_end_date DATE,
+        svr_rate DECIMAL(5,2),
+        preferred_fixed_period INT,
+        max_upfront_fees DECIMAL(10,2),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // ERC on the borrower's current deal if they leave before it ends
+    await pool.query('ALTER TABLE profiles ADD COLUMN IF NOT EXISTS current_erc_percent DECIMAL(5,2)');
+
+    // How the borrower repays; interest_only_amount is the interest-only part of a part-and-part loan
+    await pool.query("ALTER TABLE profiles ADD COLUMN IF NOT EXISTS repayment_type VARCHAR(20) DEFAULT 'repayment'");
+    await pool.query('ALTER TABLE profiles ADD COLUMN IF NOT EXISTS interest_only_amount DECIMAL(12,2)');
+
+    // Product transfers a borrower's current lender has offered them
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS retention_deals (
+        id SERIAL PRIMARY KEY,
+        profile_id INT NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+        lender_name VARCHAR(255) NOT NULL,
+        product_name VARCHAR(255) NOT NULL,
+        interest_rate DECIMAL(5,2) NOT NULL,
+        deal_type VARCHAR(50),
+        term_years INT,
+        max_ltv DECIMAL(5,2),
+        arrangement_fee DECIMAL(10,2) DEFAULT 0,
+        cashback DECIMAL(10,2) DEFAULT 0,
+        overpayment_allowance DECIMAL(5,2),
+        early_repayment_charges TEXT,
+        tracker_margin DECIMAL(5,2),
+        rate_collar DECIMAL(5,2),
+        expires_at DATE,
+        source VARCHAR(20) NOT NULL DEFAULT 'manual',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query('CREATE INDEX IF NOT EXISTS idx_retention_deals_profile ON retention_deals(profile_id)');
+
+    // Scraped deals held back by validation until an admin reviews them
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS quarantined_deals (
+        id SERIAL PRIMARY KEY,
+        source VARCHAR(100) NOT NULL,
+        fingerprint VARCHAR(600) NOT NULL,
+        deal JSONB NOT NULL,
+        reasons JSONB NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        review_note TEXT,
+        deal_id INT REFERENCES deals(id) ON DELETE SET NULL,
+        first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        reviewed_at TIMESTAMP,
+        UNIQUE (source, fingerprint)
+      )
+    `);
+
+    console.log('Database tables initialized');
+  } catch (error) {
+    console.error('Database initialization error:', error);
+  }
+}
+
+// ==================== PROFILES ====================
+
+// API field name -> profiles column
+const PROFILE_COLUMNS = {
+  name: 'name',
+  email: 'email',
+  phoneNumber: 'phone_number',
+  outstandingBalance: 'outstanding_balance',
+  propertyValue: 'property_value',
+  remainingTermYears: 'remaining_term_years',
+  currentRate: 'current_rate',
+  currentMonthlyPayment: 'current_monthly_payment',
+  currentLender: 'current_lender',
+  dealEndDate: 'deal_end_date',
+  currentErcPercent: 'current_erc_percent',
+  svrRate: 'svr_rate',
+  preferredFixedPeriod: 'preferred_fixed_period',
+  maxUpfrontFees: 'max_upfront_fees',
+  repaymentType: 'repayment_type',
+  interestOnlyAmount: 'interest_only_amount'
+};
+
+const NUMERIC_PROFILE_FIELDS = [
+  'outstandingBalance',
+  'propertyValue',
+  'remainingTermYears',
+  'currentRate',
+  'currentMonthlyPayment',
+  'currentErcPercent',
+  'svrRate',
+  'preferredFixedPeriod',
+  'maxUpfrontFees',
+  'interestOnlyAmount'
+];
+
+// Stored in INT columns, so fractions are refused rather than failing the write
+const INTEGER_PROFILE_FIELDS = ['remainingTermYears', 'preferredFixedPeriod'];
+
+const PROFILE_SELECT = `SELECT id, created_at as "createdAt", updated_at as "updatedAt", ${
+  Object.entries(PROFILE_COLUMNS).map(([field, column]) => `${column} as "${field}"`).join(', ')
+} FROM profiles`;
+
+/**
+ * Adds the fields the AI and alert services rely on, derived from the stored values
+ */
+function deriveProfile(row) {
+  const profile = { ...row };
+  for (const field of NUMERIC_PROFILE_FIELDS) {
+    profile[field] = profile[field] === null || profile[field] === undefined ? null : parseFloat(profile[field]);
+  }
+
+  profile.ltv = profile.propertyValue > 0
+    ? round2(profile.outstandingBalance / profile.propertyValue * 100)
+    : null;
+
+  if (profile.dealEndDate) {
+    // Whole calendar days from today's local date to the end date
+    const now = new Date();
+    const today = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+    profile.daysUntilExpiry = Math.round((Date.parse(`${profile.dealEndDate}T00:00:00Z`) - today) / (24 * 60 * 60 * 1000));
+  } else {
+    profile.daysUntilExpiry = null;
+  }
+
+  const months = (profile.remainingTermYears || 25) * 12;
+  profile.repaymentType = profile.repaymentType || 'repayment';
+  profile.svrMonthlyPayment = profile.svrRate !== null
+    ? round2(monthlyPayment(
+      profile.outstandingBalance,
+      profile.svrRate,
+      months,
+      interestOnlyPortion(profile.outstandingBalance, profile)
+    ))
+    : null;
+
+  return profile;
+}
+
+/**
+ * Checks a profile payload; returns a list of problems (empty when valid)
+ */
+function validateProfile(input, { partial = false } = {}) {
+  const errors = [];
+  const unknown = Object.keys(input).filter(key => !PROFILE_COLUMNS[key]);
+  if (unknown.length > 0) {
+    errors.push(`Unknown fields: ${unknown.join(', ')}`);
+  }
+
+  if (!partial) {
+    for (const required of ['outstandingBalance', 'propertyValue']) {
+      if (input[required] === undefined || input[required] === null) {
+        errors.push(`${required} is required`);
+      }
+    }
+  }
+
+  for (const field of NUMERIC_PROFILE_FIELDS) {
+    if (input[field] !== undefined && input[field] !== null && !(parseFloat(input[field]) >= 0)) {
+      errors.push(`${field} must be a non-negative number`);
+    }
+  }
+  for (const field of INTEGER_PROFILE_FIELDS) {
+    if (input[field] !== undefined && input[field] !== null && !Number.isInteger(Number(input[field]))) {
+      errors.push(`${field} must be a whole number`);
+    }
+  }
+
+  if (input.dealEndDate && isNaN(new Date(input.dealEndDate).getTime())) {
+    errors.push('dealEndDate must be a valid date');
+  }
+  if (input.repaymentType !== undefined && !REPAYMENT_TYPES.includes(input.repaymentType)) {
+    errors.push(`repaymentType must be one of: ${REPAYMENT_TYPES.join(', ')}`);
+  }
+  if (input.repaymentType === 'part_and_part' && !(parseFloat(input.interestOnlyAmount) > 0)) {
+    errors.push('interestOnlyAmount is required for part_and_part');
+  }
+  if (parseFloat(input.interestOnlyAmount) > parseFloat(input.outstandingBalance)) {
+    errors.push('interestOnlyAmount cannot exceed outstandingBalance');
+  }
+
+  return errors;
+}
+
+async function listProfiles() {
+  const { rows } = await pool.query(`${PROFILE_SELECT} ORDER BY id ASC`);
+  return rows.map(deriveProfile);
+}
+
+/**
+ * Loads a borrower profile. Without an id, the first profile is returned so
+ * single-user setups keep working.
+ */
+async function getUserProfile(id) {
+  const { rows } = id === undefined || id === null
+    ? await pool.query(`${PROFILE_SELECT} ORDER BY id ASC LIMIT 1`)
+    : await pool.query(`${PROFILE_SELECT} WHERE id = $1`, [id]);
+
+  return rows.length > 0 ? deriveProfile(rows[0]) : null;
+}
+
+async function createProfile(input) {
+  const fields = Object.keys(PROFILE_COLUMNS).filter(field => input[field] !== undefined);
+  const columns = fields.map(field => PROFILE_COLUMNS[field]);
+  const placeholders = fields.map((_, i) => `$${i + 1}`);
+
+  const { rows } = await pool.query(
+    `INSERT INTO profiles (${columns.join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING id`,
+    fields.map(field => input[field])
+  );
+  return getUserProfile(rows[0].id);
+}
+
+async function updateProfile(id, input) {
+  const fields = Object.keys(PROFILE_COLUMNS).filter(field => input[field] !== undefined);
+  if (fields.length === 0) return getUserProfile(id);
+
+  const assignments = fields.map((field, i) => `${PROFILE_COLUMNS[field]} = $${i + 1}`);
+  const { rowCount } = await pool.query(
+    `UPDATE profiles SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = $${fields.length + 1}`,
+    [...fields.map(field => input[field]), id]
+  );
+  return rowCount > 0 ? getUserProfile(id) : null;
+}
+
+async function deleteProfile(id) {
+  const { rowCount } = await pool.query('DELETE FROM profiles WHERE id = $1', [id]);
+  return rowCount > 0;
+}
+
+// ==================== RETENTION DEALS ====================
+
+const RETENTION_SELECT = `SELECT id,
+  profile_id as "profileId",
+  lender_name as "lenderName",
+  product_name as "productName",
+  interest_rate as "interestRate",
+  deal_type as "dealType",
+  term_years as "termYears",
+  max_ltv as "maxLTV",
+  arrangement_fee as "arrangementFee",
+  cashback,
+  overpayment_allowance as "overpaymentAllowance",
+  early_repayment_charges as "earlyRepaymentCharges",
+  tracker_margin as "trackerMargin",
+  rate_collar as "rateCollar",
+  expires_at as "expiresAt",
+  source,
+  created_at as "createdAt",
+  updated_at as "updatedAt"
+FROM retention_deals`;
+
+// API field name -> retention_deals column
+const RETENTION_COLUMNS = {
+  lenderName: 'lender_name',
+  productName: 'product_name',
+  interestRate: 'interest_rate',
+  dealType: 'deal_type',
+  termYears: 'term_years',
+  maxLTV: 'max_ltv',
+  arrangementFee: 'arrangement_fee',
+  cashback: 'cashback',
+  overpaymentAllowance: 'overpayment_allowance',
+  earlyRepaymentCharges: 'early_repayment_charges',
+  trackerMargin: 'tracker_margin',
+  rateCollar: 'rate_collar',
+  expiresAt: 'expires_at'
+};
+
+const NUMERIC_RETENTION_FIELDS = [
+  'interestRate',
+  'termYears',
+  'maxLTV',
+  'arrangementFee',
+  'cashback',
+  'overpaymentAllowance',
+  'rateCollar'
+];
+
+/**
+ * A product transfer needs no valuation, legal work or affordability check,
+ * so it carries none of those costs
+ */
+function toRetentionDeal(row) {
+  const deal = { ...row, valuationFee: 0, legalFees: 0, freeValuation: true, freeLegalWork: true };
+  for (const field of [...NUMERIC_RETENTION_FIELDS, 'trackerMargin']) {
+    deal[field] = deal[field] === null || deal[field] === undefined ? null : parseFloat(deal[field]);
+  }
+  return deal;
+}
+
+/**
+ * Checks a retention deal payload; returns a list of problems (empty when valid)
+ */
+function validateRetentionDeal(input, { partial = false } = {}) {
+  const errors = [];
+  const unknown = Object.keys(input).filter(key => !RETENTION_COLUMNS[key]);
+  if (unknown.length > 0) {
+    errors.push(`Unknown fields: ${unknown.join(', ')}`);
+  }
+
+  if (!partial) {
+    for (const required of ['lenderName', 'productName', 'interestRate']) {
+      if (input[required] === undefined || input[required] === null || input[required] === '') {
+        errors.push(`${required} is required`);
+      }
+    }
+  }
+
+  for (const field of NUMERIC_RETENTION_FIELDS) {
+    if (input[field] !== undefined && input[field] !== null && !(parseFloat(input[field]) >= 0)) {
+      errors.push(`${field} must be a non-negative number`);
+    }
+  }
+  if (input.termYears !== undefined && input.termYears !== null && !Number.isInteger(Number(input.termYears))) {
+    errors.push('termYears must be a whole number');
+  }
+  if (input.trackerMargin !== undefined && input.trackerMargin !== null && isNaN(parseFloat(input.trackerMargin))) {
+    errors.push('trackerMargin must be a number');
+  }
+  if (input.expiresAt && isNaN(new Date(input.expiresAt).getTime())) {
+    errors.push('expiresAt must be a valid date');
+  }
+
+  return errors;
+}
+
+/**
+ * A profile's retention deals; offers past their expiry date are left out
+ * unless `includeExpired` is set
+ */
+async function listRetentionDeals(profileId, { includeExpired = false } = {}) {
+  const { rows } = await pool.query(
+    `${RETENTION_SELECT} WHERE profile_id = $1
+    ${includeExpired ? '' : 'AND (expires_at IS NULL OR expires_at >= CURRENT_DATE)'}
+    ORDER BY interest_rate ASC`,
+    [profileId]
+  );
+  return rows.map(toRetentionDeal);
+}
+
+async function getRetentionDeal(profileId, id) {
+  const { rows } = await pool.query(`${RETENTION_SELECT} WHERE profile_id = $1 AND id = $2`, [profileId, id]);
+  return rows.length > 0 ? toRetentionDeal(rows[0]) : null;
+}
+
+async function createRetentionDeal(profileId, input, source = 'manual') {
+  const fields = Object.keys(RETENTION_COLUMNS).filter(field => input[field] !== undefined);
+  const { rows } = await pool.query(
+    `INSERT INTO retention_deals (profile_id, source, ${fields.map(field => RETENTION_COLUMNS[field]).join(', ')})
+    VALUES ($1, $2, ${fields.map((_, i) => `$${i + 3}`).join(', ')}) RETURNING id`,
+    [profileId, source, ...fields.map(field => input[field])]
+  );
+  return getRetentionDeal(profileId, rows[0].id);
+}
+
+/**
+ * Replaces the profile's previously imported retention deals with `deals`,
+ * so re-importing a lender's offer letter does not duplicate it. Manually
+ * entered deals are kept.
+ */
+async function importRetentionDeals(profileId, deals) {
+  await pool.query("DELETE FROM retention_deals WHERE profile_id = $1 AND source = 'import'", [profileId]);
+  const imported = [];
+  for (const deal of deals) {
+    imported.push(await createRetentionDeal(profileId, deal, 'import'));
+  }
+  return imported;
+}
+
+async function updateRetentionDeal(profileId, id, input) {
+  const fields = Object.keys(RETENTION_COLUMNS).filter(field => input[field] !== undefined);
+  if (fields.length === 0) return getRetentionDeal(profileId, id);
+
+  const assignments = fields.map((field, i) => `${RETENTION_COLUMNS[field]} = $${i + 1}`);
+  const { rowCount } = await pool.query(
+    `UPDATE retention_deals SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+    WHERE profile_id = $${fields.length + 1} AND id = $${fields.length + 2}`,
+    [...fields.map(field => input[field]), profileId, id]
+  );
+  return rowCount > 0 ? getRetentionDeal(profileId, id) : null;
+}
+
+async function deleteRetentionDeal(profileId, id) {
+  const { rowCount } = await pool.query('DELETE FROM retention_deals WHERE profile_id = $1 AND id = $2', [profileId, id]);
+  return rowCount > 0;
+}
+
+// ==================== LENDERS ====================
+
+const LENDER_SELECT = `SELECT id,
+  canonical_name as "canonicalName",
+  aliases,
+  lender_type as "lenderType",
+  svr_rate as "svrRate",
+  offers_interest_only as "offersInterestOnly",
+  website,
+  created_at as "createdAt",
+  updated_at as "updatedAt"
+FROM lenders`;
+
+// API field name -> lenders column
+const LENDER_COLUMNS = {
+  canonicalName: 'canonical_name',
+  aliases: 'aliases',
+  lenderType: 'lender_type',
+  svrRate: 'svr_rate',
+  offersInterestOnly: 'offers_interest_only',
+  website: 'website'
+};
+
+function toLender(row) {
+  return {
+    ...row,
+    aliases: row.aliases || [],
+    svrRate: row.svrRate === null ? null : parseFloat(row.svrRate)
+  };
+}
+
+/**
+ * Checks a lender payload; returns a list of problems (empty when valid)
+ */
+function validateLender(input, { partial = false } = {}) {
+  const errors = [];
+  const unknown = Object.keys(input).filter(key => !LENDER_COLUMNS[key]);
+  if (unknown.length > 0) {
+    errors.push(`Unknown fields: ${unknown.join(', ')}`);
+  }
+
+  if (!partial && !input.canonicalName) {
+    errors.push('canonicalName is required');
+  }
+  if (input.lenderType !== undefined && !LENDER_TYPES[input.lenderType]) {
+    errors.push(`lenderType must be one of: ${Object.keys(LENDER_TYPES).join(', ')}`);
+  }
+  if (input.aliases !== undefined && !(Array.isArray(input.aliases) && input.aliases.every(a => typeof a === 'string'))) {
+    errors.push('aliases must be an array of strings');
+  }
+  if (input.svrRate !== undefined && input.svrRate !== null && !(parseFloat(input.svrRate) >= 0)) {
+    errors.push('svrRate must be a non-negative number');
+  }
+  if (input.offersInterestOnly !== undefined && input.offersInterestOnly !== null && typeof input.offersInterestOnly !== 'boolean') {
+    errors.push('offersInterestOnly must be true, false or null');
+  }
+
+  return errors;
+}
+
+async function listLenders({ lenderType } = {}) {
+  const { rows } = lenderType
+    ? await pool.query(`${LENDER_SELECT} WHERE lender_type = $1 ORDER BY canonical_name ASC`, [lenderType])
+    : await pool.query(`${LENDER_SELECT} ORDER BY canonical_name ASC`);
+  return rows.map(toLender);
+}
+
+async function getLender(id) {
+  const { rows } = await pool.query(`${LENDER_SELECT} WHERE id = $1`, [id]);
+  return rows.length > 0 ? toLender(rows[0]) : null;
+}
+
+// Directory entry for a lender name as it appears on a comparison site
+async function findLenderByName(name) {
+  return matchLender(name, await listLenders());
+}
+
+async function createLender(input) {
+  const fields = Object.keys(LENDER_COLUMNS).filter(field => input[field] !== undefined);
+  const { rows } = await pool.query(
+    `INSERT INTO lenders (${fields.map(field => LENDER_COLUMNS[field]).join(', ')})
+    VALUES (${fields.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING id`,
+    fields.map(field => input[field])
+  );
+  return getLender(rows[0].id);
+}
+
+async function updateLender(id, input) {
+  const fields = Object.keys(LENDER_COLUMNS).filter(field => input[field] !== undefined);
+  if (fields.length === 0) return getLender(id);
+
+  const assignments = fields.map((field, i) => `${LENDER_COLUMNS[field]} = $${i + 1}`);
+  const { rowCount } = await pool.query(
+    `UPDATE lenders SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = $${fields.length + 1}`,
+    [...fields.map(field => input[field]), id]
+  );
+  return rowCount > 0 ? getLender(id) : null;
+}
+
+async function deleteLender(id) {
+  const { rowCount } = await pool.query('DELETE FROM lenders WHERE id = $1', [id]);
+  return rowCount > 0;
+}
+
+// ==================== DEALS ====================
+
+const DEAL_SELECT = `SELECT id,
+  lender_name as "lenderName",
+  product_name as "productName",
+  interest_rate as "interestRate",
+  deal_type as "dealType",
+  term_years as "termYears",
+  max_ltv as "maxLTV",
+  arrangement_fee as "arrangementFee",
+  valuation_fee as "valuationFee",
+  legal_fees as "legalFees",
+  cashback,
+  free_valuation as "freeValuation",
+  free_legal_work as "freeLegalWork",
+  overpayment_allowance as "overpaymentAllowance",
+  early_repayment_charges as "earlyRepaymentCharges",
+  erc_tiers as "ercTiers",
+  lender_type as "lenderType",
+  lender_id as "lenderId",
+  parse_confidence as "parseConfidence",
+  tracker_margin as "trackerMargin",
+  rate_collar as "rateCollar",
+  source,
+  seen_sources as "seenSources",
+  scraped_at as "scrapedAt",
+  first_seen_at as "firstSeenAt",
+  last_seen_at as "lastSeenAt",
+  withdrawn_at as "withdrawnAt"
+FROM deals`;
+
+async function getDealById(id) {
+  const { rows } = await pool.query(`${DEAL_SELECT} WHERE id = $1`, [id]);
+  return rows[0] || null;
+}
+
+async function listDeals({ ids, limit = 100 } = {}) {
+  const { rows } = ids && ids.length > 0
+    ? await pool.query(`${DEAL_SELECT} WHERE id = ANY($1::int[]) AND withdrawn_at IS NULL ORDER BY interest_rate ASC LIMIT $2`, [ids, limit])
+    : await pool.query(`${DEAL_SELECT} WHERE withdrawn_at IS NULL ORDER BY interest_rate ASC LIMIT $1`, [limit]);
+  return rows;
+}
+
+// Most rows the deal query engine prices and sorts for one request. Pricing both fee
+// treatments runs several projections per deal on the event loop, so this matches
+// the snapshot's size rather than going further.
+const DEAL_SCAN_LIMIT = 500;
+
+/**
+ * Deals matching parsed dealQuery filters, cheapest rate first. The engine
+ * prices, sorts and pages them, so this returns every match up to the scan limit.
+ */
+async function findDeals(filters = {}, { includeWithdrawn = false, limit = DEAL_SCAN_LIMIT } = {}) {
+  const conditions = includeWithdrawn ? [] : ['withdrawn_at IS NULL'];
+  const params = [];
+
+  for (const [param, value] of Object.entries(filters)) {
+    const { column, op, allowNull } = FILTERS[param];
+    // Metric filters are applied once the deals are priced
+    if (!column) continue;
+    params.push(value);
+    const condition = `${column} ${op} $${params.length}`;
+    conditions.push(allowNull ? `(${column} IS NULL OR ${condition})` : condition);
+  }
+
+  params.push(limit);
+  const { rows } = await pool.query(
+    `${DEAL_SELECT}${conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY interest_rate ASC LIMIT $${params.length}`,
+    params
+  );
+  return rows;
+}
+
+async function getWithdrawnDeals({ since, limit = 50 } = {}) {
+  const { rows } = since
+    ? await pool.query(`${DEAL_SELECT} WHERE withdrawn_at >= $1 ORDER BY withdrawn_at DESC LIMIT $2`, [since, limit])
+    : await pool.query(`${DEAL_SELECT} WHERE withdrawn_at IS NOT NULL ORDER BY withdrawn_at DESC LIMIT $1`, [limit]);
+  return rows;
+}
+
+async function getTopDeals(limit = 3) {
+  const { rows } = await pool.query(`${DEAL_SELECT} WHERE withdrawn_at IS NULL ORDER BY interest_rate ASC LIMIT $1`, [limit * 3]);
+  return mergeDeals(rows).slice(0, limit).map(deal => ({ ...deal, interestRate: parseFloat(deal.interestRate) }));
+}
+
+// ==================== SCRAPE RESULTS ====================
+
+function loadLenders() {
+  return listLenders().catch(error => {
+    console.error('Error loading lender directory:', error.message);
+    return [];
+  });
+}
+
+// Upsert one deal and record a snapshot of the observation; returns its id
+async function saveDeal(scraped, source, seenAt, lenders) {
+  // Canonical lender name and type from the directory
+  const deal = applyLender(scraped, lenders);
+  let trackerMargin = null;
+  if (isTracker(deal)) {
+    // Without a stated margin, the quoted rate over today's base rate
+    trackerMargin = deal.trackerMargin !== undefined && deal.trackerMargin !== null
+      ? deal.trackerMargin
+      : round2(deal.interestRate - BASE_RATE);
+  }
+
+  const { rows } = await pool.query(`
+    INSERT INTO deals (
+      lender_name, product_name, interest_rate, deal_type, term_years,
+      max_ltv, arrangement_fee, valuation_fee, legal_fees, cashback,
+      free_valuation, free_legal_work, overpayment_allowance,
+      early_repayment_charges, erc_tiers, lender_type, source,
+      first_seen_at, last_seen_at, parse_confidence, lender_id, seen_sources,
+      tracker_margin, rate_collar
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $18, $19, $20, $21, $22, $23)
+    ON CONFLICT (lender_name, product_name, interest_rate)
+    DO UPDATE SET
+      seen_sources = CASE
+        WHEN EXCLUDED.source = ANY(deals.seen_sources) THEN deals.seen_sources
+        ELSE deals.seen_sources || EXCLUDED.seen_sources
+      END,
+      lender_id = EXCLUDED.lender_id,
+      lender_type = EXCLUDED.lender_type,
+      deal_type = EXCLUDED.deal_type,
+      term_years = EXCLUDED.term_years,
+      max_ltv = EXCLUDED.max_ltv,
+      parse_confidence = EXCLUDED.parse_confidence,
+      tracker_margin = EXCLUDED.tracker_margin,
+      rate_collar = EXCLUDED.rate_collar,
+      arrangement_fee = EXCLUDED.arrangement_fee,
+      early_repayment_charges = EXCLUDED.early_repayment_charges,
+      erc_tiers = EXCLUDED.erc_tiers,
+      last_seen_at = EXCLUDED.last_seen_at,
+      withdrawn_at = NULL,
+      scraped_at = CURRENT_TIMESTAMP
+    RETURNING id
+  `, [
+    deal.lenderName,
+    deal.productName,
+    deal.interestRate,
+    deal.dealType || 'Fixed',
+    deal.termYears || 2,
+    deal.maxLTV || 75,
+    deal.arrangementFee || 0,
+    deal.valuationFee || 0,
+    deal.legalFees || 0,
+    deal.cashback || 0,
+    deal.freeValuation || false,
+    deal.freeLegalWork || false,
+    deal.overpaymentAllowance || null,
+    deal.earlyRepaymentCharges || '',
+    JSON.stringify(parseEarlyRepaymentCharges(deal.earlyRepaymentCharges)),
+    deal.lenderType || 'UK Mainstream',
+    source,
+    seenAt,
+    deal.parseConfidence === undefined ? null : deal.parseConfidence,
+    deal.lenderId,
+    [source],
+    trackerMargin,
+    isTracker(deal) && deal.rateCollar !== undefined ? deal.rateCollar : null
+  ]);
+
+  await pool.query(`
+    INSERT INTO deal_sources (deal_id, source, last_seen_at) VALUES ($1, $2, $3)
+    ON CONFLICT (deal_id, source) DO UPDATE SET last_seen_at = EXCLUDED.last_seen_at, withdrawn_at = NULL
+  `, [rows[0].id, source, seenAt]);
+
+  await pool.query(`
+    INSERT INTO deal_snapshots (
+      deal_id, source, interest_rate, deal_type, term_years, max_ltv,
+      arrangement_fee, valuation_fee, legal_fees, cashback
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+  `, [
+    rows[0].id,
+    source,
+    deal.interestRate,
+    deal.dealType || 'Fixed',
+    deal.termYears || 2,
+    deal.maxLTV || 75,
+    deal.arrangementFee || 0,
+    deal.valuationFee || 0,
+    deal.legalFees || 0,
+    deal.cashback || 0
+  ]);
+
+  return rows[0].id;
+}
+
+// Save deals to database, recording a snapshot of every observation
+async function saveDeals(deals, source) {
+  let savedCount = 0;
+  const seenAt = new Date();
+  const lenders = await loadLenders();
+
+  for (const deal of deals) {
+    try {
+      await saveDeal(deal, source, seenAt, lenders);
+      savedCount++;
+    } catch (error) {
+      console.error('Error saving deal:', error.message);
+    }
+  }
+
+  // An empty result means the scrape failed rather than every deal being pulled
+  if (savedCount > 0) {
+    await markWithdrawn(source, seenAt);
+  }
+
+  return savedCount;
+}
+
+/**
+ * Records that the latest successful scrape of `source` no longer returned
+ * some deals, and withdraws those no other source still lists
+ */
+async function markWithdrawn(source, seenAt) {
+  try {
+    await pool.query(
+      'UPDATE deal_sources SET withdrawn_at = $2 WHERE source = $1 AND withdrawn_at IS NULL AND last_seen_at < $2',
+      [source, seenAt]
+    );
+    const { rowCount } = await pool.query(`
+      UPDATE deals SET withdrawn_at = $2
+      WHERE withdrawn_at IS NULL
+        AND id IN (SELECT deal_id FROM deal_sources WHERE source = $1 AND withdrawn_at = $2)
+        AND id NOT IN (SELECT deal_id FROM deal_sources WHERE withdrawn_at IS NULL)
+    `, [source, seenAt]);
+    if (rowCount > 0) {
+      console.log(`${source}: marked ${rowCount} deals as withdrawn`);
+    }
+  } catch (error) {
+    console.error('Error marking withdrawn deals:', error.message);
+  }
+}
+
+/**
+ * Log scrape results. `details` carries what the health checks read:
+ * durationMs, pagesLoaded, cardsMatched and quarantined.
+ */
+async function logScrape(source, status, dealsFound, errorMessage, details = {}) {
+  try {
+    await pool.query(
+      `INSERT INTO scrape_logs (source, status, deals_found, error_message, duration_ms, pages_loaded, cards_matched, quarantined)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [
+        source,
+        status,
+        dealsFound,
+        errorMessage,
+        details.durationMs === undefined ? null : details.durationMs,
+        details.pagesLoaded === undefined ? null : details.pagesLoaded,
+        details.cardsMatched === undefined ? null : details.cardsMatched,
+        details.quarantined === undefined ? null : details.quarantined
+      ]
+    );
+  } catch (error) {
+    console.error('Error logging scrape:', error);
+  }
+}
+
+// Most recent runs of a source, newest first
+async function getScrapeLogs(source, limit = 20) {
+  const { rows } = await pool.query(
+    `SELECT status,
+      deals_found as "dealsFound",
+      error_message as "errorMessage",
+      duration_ms as "durationMs",
+      pages_loaded as "pagesLoaded",
+      cards_matched as "cardsMatched",
+      quarantined,
+      scraped_at as "scrapedAt"
+    FROM scrape_logs
+    WHERE source = $1
+    ORDER BY scraped_at DESC, id DESC
+    LIMIT $2`,
+    [source, limit]
+  );
+  return rows;
+}
+
+// ==================== QUARANTINE ====================
+
+const QUARANTINE_STATUSES = ['pending', 'approved', 'rejected'];
+
+const QUARANTINE_SELECT = `SELECT id, source, deal, reasons, status,
+  review_note as "reviewNote",
+  deal_id as "dealId",
+  first_seen_at as "firstSeenAt",
+  last_seen_at as "lastSeenAt",
+  reviewed_at as "reviewedAt"
+FROM quarantined_deals`;
+
+/**
+ * Runs a scrape through validation before it is saved. Returns the deals
+ * that can go to saveDeals(), the ones to quarantine with their reasons, and
+ * the ones dropped because an admin already rejected them.
+ */
+async function screenDeals(deals, source) {
+  const lenders = await loadLenders();
+
+  const previousRates = new Map();
+  const { rows: current } = await pool.query(
+    `SELECT lender_name as "lenderName", product_name as "productName", interest_rate as "interestRate"
+    FROM deals WHERE source = $1 AND withdrawn_at IS NULL ORDER BY last_seen_at ASC`,
+    [source]
+  );
+  for (const deal of current) {
+    previousRates.set(productKey(deal), parseFloat(deal.interestRate));
+  }
+
+  const { rows: reviewed } = await pool.query(
+    "SELECT fingerprint, status FROM quarantined_deals WHERE source = $1 AND status <> 'pending'",
+    [source]
+  );
+  const decisions = new Map(reviewed.map(row => [row.fingerprint, row.status]));
+
+  return screen(deals, { lenders, previousRates, decisions });
+}
+
+// Hold deals for review; a record already waiting is refreshed rather than duplicated
+async function quarantineDeals(entries, source) {
+  for (const { deal, reasons } of entries) {
+    try {
+      await pool.query(`
+        INSERT INTO quarantined_deals (source, fingerprint, deal, reasons)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (source, fingerprint)
+        DO UPDATE SET deal = EXCLUDED.deal, reasons = EXCLUDED.reasons, last_seen_at = CURRENT_TIMESTAMP
+        WHERE quarantined_deals.status = 'pending'
+      `, [source, fingerprint(deal), JSON.stringify(deal), JSON.stringify(reasons)]);
+    } catch (error) {
+      console.error('Error quarantining deal:', error.message);
+    }
+  }
+
+  if (entries.length > 0) {
+    console.log(`${source}: quarantined ${entries.length} deals for review`);
+  }
+}
+
+async function listQuarantined({ status = 'pending', source, limit = 100 } = {}) {
+  const params = [status];
+  let query = `${QUARANTINE_SELECT} WHERE status = $1`;
+  if (source) {
+    params.push(source);
+    query += ` AND source = $${params.length}`;
+  }
+  params.push(limit);
+  query += ` ORDER BY last_seen_at DESC LIMIT $${params.length}`;
+
+  const { rows } = await pool.query(query, params);
+  return rows;
+}
+
+async function getQuarantined(id) {
+  const { rows } = await pool.query(`${QUARANTINE_SELECT} WHERE id = $1`, [id]);
+  return rows[0] || null;
+}
+
+/**
+ * Records an admin's decision on a pending record. Approving saves the deal
+ * and lets the same record through on later scrapes; rejecting drops it from
+ * later scrapes. Returns null when the record does not exist, or the record
+ * unchanged when it was already reviewed.
+ */
+async function reviewQuarantined(id, decision, note = null) {
+  const entry = await getQuarantined(id);
+  if (!entry || entry.status !== 'pending') return entry;
+
+  let dealId = null;
+  if (decision === 'approved') {
+    dealId = await saveDeal(entry.deal, entry.source, new Date(), await loadLenders());
+  }
+
+  await pool.query(
+    `UPDATE quarantined_deals SET status = $2, review_note = $3, deal_id = $4, reviewed_at = CURRENT_TIMESTAMP
+    WHERE id = $1`,
+    [id, decision, note, dealId]
+  );
+  return getQuarantined(id);
+}
+
+// ==================== HISTORY ====================
+
+const TREND_INTERVALS = ['day', 'week', 'month'];
+
+// Buckets used to group deals by maximum LTV in market trends
+const LTV_BAND_SQL = `CASE
+  WHEN max_ltv <= 60 THEN '0-60'
+  WHEN max_ltv <= 75 THEN '60-75'
+  WHEN max_ltv <= 85 THEN '75-85'
+  WHEN max_ltv <= 90 THEN '85-90'
+  ELSE '90+'
+END`;
+
+/**
+ * Snapshots for a deal and every other rate seen for the same lender and
+ * product name, oldest first
+ */
+async function getDealHistory(id) {
+  const deal = await getDealById(id);
+  if (!deal) return null;
+
+  const { rows } = await pool.query(`
+    SELECT s.deal_id as "dealId",
+      s.source,
+      s.interest_rate as "interestRate",
+      s.deal_type as "dealType",
+      s.term_years as "termYears",
+      s.max_ltv as "maxLTV",
+      s.arrangement_fee as "arrangementFee",
+      s.valuation_fee as "valuationFee",
+      s.legal_fees as "legalFees",
+      s.cashback,
+      s.scraped_at as "scrapedAt"
+    FROM deal_snapshots s
+    JOIN deals d ON d.id = s.deal_id
+    WHERE d.lender_name = $1 AND d.product_name = $2
+    ORDER BY s.scraped_at ASC, s.id ASC
+  `, [deal.lenderName, deal.productName]);
+
+  const snapshots = rows.map(row => ({
+    ...row,
+    interestRate: parseFloat(row.interestRate),
+    maxLTV: parseFloat(row.maxLTV),
+    arrangementFee: parseFloat(row.arrangementFee),
+    valuationFee: parseFloat(row.valuationFee),
+    legalFees: parseFloat(row.legalFees),
+    cashback: parseFloat(row.cashback)
+  }));
+
+  return {
+    dealId: deal.id,
+    lenderName: deal.lenderName,
+    productName: deal.productName,
+    firstSeen: snapshots.length > 0 ? snapshots[0].scrapedAt : null,
+    lastSeen: snapshots.length > 0 ? snapshots[snapshots.length - 1].scrapedAt : null,
+    snapshots
+  };
+}
+
+/**
+ * Average and best rate per period, term and LTV band across all snapshots
+ */
+async function getMarketTrends({ interval = 'week', from, to, termYears, dealType } = {}) {
+  const params = [interval];
+  let where = 'WHERE 1=1';
+
+  if (from) {
+    params.push(from);
+    where += ` AND scraped_at >= $${params.length}`;
+  }
+  if (to) {
+    params.push(to);
+    where += ` AND scraped_at <= $${params.length}`;
+  }
+  if (termYears) {
+    params.push(termYears);
+    where += ` AND term_years = $${params.length}`;
+  }
+  if (dealType) {
+    params.push(dealType);
+    where += ` AND deal_type = $${params.length}`;
+  }
+
+  const { rows } = await pool.query(`
+    SELECT date_trunc($1, scraped_at) as "period",
+      term_years as "termYears",
+      ${LTV_BAND_SQL} as "ltvBand",
+      AVG(interest_rate) as "averageRate",
+      MIN(interest_rate) as "bestRate",
+      COUNT(*) as "observations"
+    FROM deal_snapshots
+    ${where}
+    GROUP BY "period", "termYears", "ltvBand"
+    ORDER BY "period" ASC, "termYears" ASC, "ltvBand" ASC
+  `, params);
+
+  return rows.map(row => ({
+    ...row,
+    averageRate: round2(parseFloat(row.averageRate)),
+    bestRate: parseFloat(row.bestRate),
+    observations: parseInt(row.observations, 10)
+  }));
+}
+
+module.exports = {
+  pool,
+  initDatabase,
+  validateProfile,
+  listProfiles,
+  getUserProfile,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+  validateRetentionDeal,
+  listRetentionDeals,
+  getRetentionDeal,
+  createRetentionDeal,
+  importRetentionDeals,
+  updateRetentionDeal,
+  deleteRetentionDeal,
+  validateLender,
+  listLenders,
+  getLender,
+  findLenderByName,
+  createLender,
+  updateLender,
+  deleteLender,
+  getDealById,
+  listDeals,
+  findDeals,
+  getWithdrawnDeals,
+  getTopDeals,
+  saveDeals,
+  logScrape,
+  getScrapeLogs,
+  QUARANTINE_STATUSES,
+  screenDeals,
+  quarantineDeals,
+  listQuarantined,
+  getQuarantined,
+  reviewQuarantined,
+  TREND_INTERVALS,
+  getDealHistory,
+  getMarketTrends
+};
@@ -0,0 +1,56 @@
+const express = require('express');
+const router = express.Router();
+const {
+  QUARANTINE_STATUSES,
+  listQuarantined,
+  getQuarantined,
+  reviewQuarantined
+} = require('../database');
+const { requireAdminKey } = require('./adminAuth');
+const { idParam } = require('./params');
+
+router.use(requireAdminKey);
+
+router.param('id', idParam('quarantined_deal_not_found'));
+
+router.get('/quarantine', async (req, res) => {
+  const status = req.query.status || 'pending';
+  if (!QUARANTINE_STATUSES.includes(status)) {
+    return res.status(400).json({ error: 'invalid_status', allowed: QUARANTINE_STATUSES });
+  }
+
+  try {
+    const limit = Math.min(parseInt(req.query.limit || '100', 10) || 100, 500);
+    res.json(await listQuarantined({ status, source: req.query.source, limit }));
+  } catch (e) {
+    res.status(500).json({ error: 'failed_to_list_quarantine' });
+  }
+});
+
+router.get('/quarantine/:id', async (req, res) => {
+  try {
+    const entry = await getQuarantined(req.params.id);
+    if (!entry) return res.status(404).json({ error: 'quarantined_deal_not_found' });
+    res.json(entry);
+  } catch (e) {
+    res.status(500).json({ error: 'failed_to_get_quarantined_deal' });
+  }
+});
+
+async function review(req, res, decision) {
+  try {
+    const entry = await reviewQuarantined(req.params.id, decision, (req.body && req.body.note) || null);
+    if (!entry) return res.status(404).json({ error: 'quarantined_deal_not_found' });
+    if (entry.status !== decision) {
+      return res.status(409).json({ error: 'already_reviewed', status: entry.status });
+    }
+    res.json(entry);
+  } catch (e) {
+    res.status(500).json({ error: 'failed_to_review_quarantined_deal' });
+  }
+}
+
+router.post('/quarantine/:id/approve', (req, res) => review(req, res, 'approved'));
+router.post('/quarantine/:id/reject', (req, res) => review(req, res, 'rejected'));
+
+module.exports = router;
@@ -0,0 +1,25 @@
+/**
+ * Guards admin, profile, scrape trigger and directory write routes: requests
+ * must send ADMIN_API_KEY in the X-Admin-Key header. Without a configured
+ * key these routes are refused outright rather than left open.
+ */
+function requireAdminKey(req, res, next) {
+  const denied = adminKeyError(req);
+  if (denied) {
+    return res.status(denied.status).json({ error: denied.error });
+  }
+  next();
+}
+
+// Why a request may not use admin routes, or null when it sends the key
+function adminKeyError(req) {
+  const key = process.env.ADMIN_API_KEY;
+  if (!key) return { status: 503, error: 'admin_disabled' };
+  if (req.get('x-admin-key') !== key) return { status: 401, error: 'unauthorized' };
+  return null;
+}
+
+module.exports = {
+  requireAdminKey,
+  adminKeyError
+};
@@ -0,0 +1,91 @@
+const express = require('express');
+const router = express.Router();
+const {
+  validateLender,
+  listLenders,
+  getLender,
+  findLenderByName,
+  createLender,
+  updateLender,
+  deleteLender
+} = require('../database');
+const { requireAdminKey } = require('./adminAuth');
+const { idParam } = require('./params');
+
+router.param('id', idParam('lender_not_found'));
+
+router.get('/', async (req, res) => {
+  try {
+    res.json(await listLenders({ lenderType: req.query.lenderType }));
+  } catch (e) {
+    res.status(500).json({ error: 'failed_to_list_lenders' });
+  }
+});
+
+// Which directory entry a scraped name maps onto, e.g. ?name=Leeds%20BS
+router.get('/resolve', async (req, res) => {
+  if (!req.query.name) {
+    return res.status(400).json({ error: 'name_required' });
+  }
+
+  try {
+    const lender = await findLenderByName(req.query.name);
+    if (!lender) return res.status(404).json({ error: 'lender_not_found' });
+    res.json(lender);
+  } catch (e) {
+    res.status(500).json({ error: 'failed_to_resolve_lender' });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const lender = await getLender(req.params.id);
+    if (!lender) return res.status(404).json({ error: 'lender_not_found' });
+    res.json(lender);
+  } catch (e) {
+    res.status(500).json({ error: 'failed_to_get_lender' });
+  }
+});
+
+// Directory entries decide which lenders pass deal validation, so writes need the admin key
+router.post('/', requireAdminKey, async (req, res) => {
+  const errors = validateLender(req.body || {});
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'invalid_lender', details: errors });
+  }
+
+  try {
+    res.status(201).json(await createLender(req.body));
+  } catch (e) {
+    if (e.code === '23505') return res.status(409).json({ error: 'lender_exists' });
+    res.status(500).json({ error: 'failed_to_create_lender' });
+  }
+});
+
+router.put('/:id', requireAdminKey, async (req, res) => {
+  const errors = validateLender(req.body || {}, { partial: true });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'invalid_lender', details: errors });
+  }
+
+  try {
+    const lender = await updateLender(req.params.id, req.body);
+    if (!lender) return res.status(404).json({ error: 'lender_not_found' });
+    res.json(lender);
+  } catch (e) {
+    if (e.code === '23505') return res.status(409).json({ error: 'lender_exists' });
+    res.status(500).json({ error: 'failed_to_update_lender' });
+  }
+});
+
+router.delete('/:id', requireAdminKey, async (req, res) => {
+  try {
+    const deleted = await deleteLender(req.params.id);
+    if (!deleted) return res.status(404).json({ error: 'lender_not_found' });
+    res.json({ deleted: true });
+  } catch (e) {
+    res.status(500).json({ error: 'failed_to_delete_lender' });
+  }
+});
+
+module.exports = router;
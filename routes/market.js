@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const { TREND_INTERVALS, getMarketTrends } = require('../database');
+
+// Average and best rate per term and LTV band over time
+router.get('/trends', async (req, res) => {
+  const interval = req.query.interval || 'week';
+  if (!TREND_INTERVALS.includes(interval)) {
+    return res.status(400).json({ error: 'invalid_interval', allowed: TREND_INTERVALS });
+  }
+
+  try {
+    const trends = await getMarketTrends({
+      interval,
+      from: req.query.from,
+      to: req.query.to,
+      termYears: req.query.termYears,
+      dealType: req.query.dealType
+    });
+    res.json({ interval, trends });
+  } catch (e) {
+    res.status(500).json({ error: 'failed_to_get_trends' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,23 @@
+// Largest id a SERIAL column holds
+const MAX_ID = 2147483647;
+
+// Whether a path or query value is an id a SERIAL column could hold
+function isId(value) {
+  return /^\d+$/.test(String(value)) && Number(value) > 0 && Number(value) <= MAX_ID;
+}
+
+/**
+ * A router.param handler for numeric ids: anything that is not one answers
+ * 404 with `notFound`, rather than reaching pg and failing with a 500
+ */
+function idParam(notFound) {
+  return (req, res, next, value) => {
+    if (!isId(value)) return res.status(404).json({ error: notFound });
+    next();
+  };
+}
+
+module.exports = {
+  isId,
+  idParam
+};
@@ -0,0 +1,202 @@
+const express = require('express');
+const router = express.Router();
+const {
+  validateProfile,
+  listProfiles,
+  getUserProfile,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+  validateRetentionDeal,
+  listRetentionDeals,
+  createRetentionDeal,
+  importRetentionDeals,
+  updateRetentionDeal,
+  deleteRetentionDeal
+} = require('../database');
+const { decideForProfile } = require('../services/remortgageAdvisor');
+const { parseProductName } = require('../scrapers/normaliser');
+const { requireAdminKey } = require('./adminAuth');
+const { idParam } = require('./params');
+
+// Product-name details an imported offer left out: "2 Year Fixed", "BBR + 0.5%", "£999 fee"
+const IMPORT_NAME_FIELDS = ['dealType', 'termYears', 'arrangementFee', 'trackerMargin', 'rateCollar'];
+
+function fromOffer(offer, lenderName) {
+  const deal = { lenderName, ...offer };
+  const fromName = parseProductName(offer.productName);
+  for (const field of IMPORT_NAME_FIELDS) {
+    if ((deal[field] === undefined || deal[field] === null) && fromName[field] !== undefined && fromName[field] !== null) {
+      deal[field] = fromName[field];
+    }
+  }
+  return deal;
+}
+
+// Profiles hold borrowers' contact details and finances
+router.use(requireAdminKey);
+
+router.param('id', idParam('profile_not_found'));
+router.param('dealId', idParam('retention_deal_not_found'));
+
+// Loads the profile or answers 404; retention deals only exist under one
+async function profileOrRespond(req, res) {
+  const profile = await getUserProfile(req.params.id);
+  if (!profile) res.status(404).json({ error: 'profile_not_found' });
+  return profile;
+}
+
+router.get('/', async (req, res) => {
+  try {
+    res.json(await listProfiles());
+  } catch (e) {
+    res.status(500).json({ error: 'failed_to_list_profiles' });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const profile = await getUserProfile(req.params.id);
+    if (!profile) return res.status(404).json({ error: 'profile_not_found' });
+    res.json(profile);
+  } catch (e) {
+    res.status(500).json({ error: 'failed_to_get_profile' });
+  }
+});
+
+// Ranked stay-on-SVR, product transfer and remortgage options with the numbers behind them
+router.get('/:id/decision', async (req, res) => {
+  const horizonYears = req.query.horizonYears === undefined ? undefined : parseFloat(req.query.horizonYears);
+  if (horizonYears !== undefined && !(horizonYears > 0 && horizonYears <= 40)) {
+    return res.status(400).json({ error: 'invalid_horizon' });
+  }
+  const limit = Math.min(parseInt(req.query.limit || '10', 10) || 10, 50);
+
+  try {
+    const decision = await decideForProfile(req.params.id, { horizonYears, limit });
+    if (!decision) return res.status(404).json({ error: 'profile_not_found' });
+    res.json(decision);
+  } catch (e) {
+    res.status(500).json({ error: 'failed_to_decide' });
+  }
+});
+
+// Product transfers the borrower's current lender has offered; expired offers with includeExpired=true
+router.get('/:id/retention-deals', async (req, res) => {
+  try {
+    if (!(await profileOrRespond(req, res))) return;
+    res.json(await listRetentionDeals(req.params.id, { includeExpired: req.query.includeExpired === 'true' }));
+  } catch (e) {
+    res.status(500).json({ error: 'failed_to_list_retention_deals' });
+  }
+});
+
+router.post('/:id/retention-deals', async (req, res) => {
+  const errors = validateRetentionDeal(req.body || {});
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'invalid_retention_deal', details: errors });
+  }
+
+  try {
+    if (!(await profileOrRespond(req, res))) return;
+    res.status(201).json(await createRetentionDeal(req.params.id, req.body));
+  } catch (e) {
+    res.status(500).json({ error: 'failed_to_create_retention_deal' });
+  }
+});
+
+/**
+ * Imports a lender's offer list as { lenderName, deals: [...] }, replacing
+ * the last import. Each deal's lender defaults to `lenderName`, then the
+ * profile's current lender; type, term, fee and tracker terms missing from
+ * a deal are read from its product name.
+ */
+router.post('/:id/retention-deals/import', async (req, res) => {
+  const body = req.body || {};
+  if (!Array.isArray(body.deals) || body.deals.length === 0) {
+    return res.status(400).json({ error: 'invalid_retention_deals', details: ['deals must be a non-empty array'] });
+  }
+
+  try {
+    const profile = await profileOrRespond(req, res);
+    if (!profile) return;
+
+    const deals = body.deals.map(offer => fromOffer(offer || {}, body.lenderName || profile.currentLender));
+    const details = deals
+      .map((deal, index) => ({ index, errors: validateRetentionDeal(deal) }))
+      .filter(result => result.errors.length > 0);
+    if (details.length > 0) {
+      return res.status(400).json({ error: 'invalid_retention_deals', details });
+    }
+
+    const imported = await importRetentionDeals(req.params.id, deals);
+    res.status(201).json({ imported: imported.length, deals: imported });
+  } catch (e) {
+    res.status(500).json({ error: 'failed_to_import_retention_deals' });
+  }
+});
+
+router.put('/:id/retention-deals/:dealId', async (req, res) => {
+  const errors = validateRetentionDeal(req.body || {}, { partial: true });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'invalid_retention_deal', details: errors });
+  }
+
+  try {
+    const deal = await updateRetentionDeal(req.params.id, req.params.dealId, req.body);
+    if (!deal) return res.status(404).json({ error: 'retention_deal_not_found' });
+    res.json(deal);
+  } catch (e) {
+    res.status(500).json({ error: 'failed_to_update_retention_deal' });
+  }
+});
+
+router.delete('/:id/retention-deals/:dealId', async (req, res) => {
+  try {
+    const deleted = await deleteRetentionDeal(req.params.id, req.params.dealId);
+    if (!deleted) return res.status(404).json({ error: 'retention_deal_not_found' });
+    res.json({ deleted: true });
+  } catch (e) {
+    res.status(500).json({ error: 'failed_to_delete_retention_deal' });
+  }
+});
+
+router.post('/', async (req, res) => {
+  const errors = validateProfile(req.body || {});
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'invalid_profile', details: errors });
+  }
+
+  try {
+    res.status(201).json(await createProfile(req.body));
+  } catch (e) {
+    res.status(500).json({ error: 'failed_to_create_profile' });
+  }
+});
+
+router.put('/:id', async (req, res) => {
+  const errors = validateProfile(req.body || {}, { partial: true });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'invalid_profile', details: errors });
+  }
+
+  try {
+    const profile = await updateProfile(req.params.id, req.body);
+    if (!profile) return res.status(404).json({ error: 'profile_not_found' });
+    res.json(profile);
+  } catch (e) {
+    res.status(500).json({ error: 'failed_to_update_profile' });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const deleted = await deleteProfile(req.params.id);
+    if (!deleted) return res.status(404).json({ error: 'profile_not_found' });
+    res.json({ deleted: true });
+  } catch (e) {
+    res.status(500).json({ error: 'failed_to_delete_profile' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { getScrapeJob, listScrapeJobs } = require('../scrapers/jobs');
+
+router.get('/', (req, res) => {
+  res.json(listScrapeJobs());
+});
+
+router.get('/:id', (req, res) => {
+  const job = getScrapeJob(req.params.id);
+  if (!job) return res.status(404).json({ error: 'scrape_job_not_found' });
+  res.json(job);
+});
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const registry = require('../scrapers/registry');
+const { getSourceHealth } = require('../services/scraperHealth');
+
+// Worst first; the overall status is the worst of the enabled sources
+const SEVERITY = ['failing', 'degraded', 'healthy', 'unknown'];
+
+router.get('/health', async (req, res) => {
+  try {
+    const sources = await Promise.all(registry.getSources({ includeDisabled: true }).map(async source => ({
+      key: source.key,
+      enabled: source.enabled,
+      schedule: source.schedule,
+      ...await getSourceHealth(source.name)
+    })));
+
+    const enabled = sources.filter(source => source.enabled);
+    const status = SEVERITY.find(level => enabled.some(source => source.status === level)) || 'unknown';
+    res.json({ status, sources });
+  } catch (e) {
+    res.status(500).json({ error: 'failed_to_get_scraper_health' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,165 @@
+const fs = require('fs');
+
+const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// Requests scrapers never need; blocking them keeps page memory and bandwidth down
+const BLOCKED_RESOURCES = ['image', 'font', 'media'];
+
+const DEFAULTS = {
+  maxPages: parseInt(process.env.SCRAPER_MAX_PAGES || '2', 10),
+  navigationTimeout: 60000,
+  retries: 2,
+  backoffMs: 1000,
+  // Close the browser once nothing has used it for this long
+  idleMs: 60000
+};
+
+function defaultLaunch() {
+  const puppeteer = require('puppeteer');
+  const launchOptions = {
+    headless: 'new',
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      '--disable-gpu',
+      '--disable-features=HttpsFirstBalancedModeAutoEnable'
+    ]
+  };
+
+  try {
+    const ep = puppeteer.executablePath();
+    if (ep && fs.existsSync(ep)) {
+      launchOptions.executablePath = ep;
+    }
+  } catch (_) {}
+
+  return puppeteer.launch(launchOptions);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * One headless browser shared by every scraper. At most `maxPages` pages are
+ * open at once; further withPage() calls wait for a free slot. The browser is
+ * launched on first use, relaunched if it crashes and closed when idle.
+ */
+function createBrowserPool(config = {}) {
+  const settings = { ...DEFAULTS, ...config };
+  const launch = settings.launch || defaultLaunch;
+  const waiting = [];
+  let active = 0;
+  let browserPromise = null;
+  let idleTimer = null;
+
+  function getBrowser() {
+    if (!browserPromise) {
+      browserPromise = Promise.resolve(launch()).then(browser => {
+        if (browser.on) {
+          browser.on('disconnected', () => { browserPromise = null; });
+        }
+        return browser;
+      }).catch(error => {
+        browserPromise = null;
+        throw error;
+      });
+    }
+    return browserPromise;
+  }
+
+  async function acquire() {
+    clearTimeout(idleTimer);
+    if (active < settings.maxPages) {
+      active++;
+      return;
+    }
+    await new Promise(resolve => waiting.push(resolve));
+  }
+
+  function release() {
+    const next = waiting.shift();
+    if (next) return next();
+
+    active--;
+    if (active === 0 && settings.idleMs > 0) {
+      idleTimer = setTimeout(close, settings.idleMs);
+      if (idleTimer.unref) idleTimer.unref();
+    }
+  }
+
+  async function openPage() {
+    const page = await (await getBrowser()).newPage();
+    await page.setUserAgent(USER_AGENT);
+    await page.setRequestInterception(true);
+    page.on('request', request => {
+      if (BLOCKED_RESOURCES.includes(request.resourceType())) request.abort();
+      else request.continue();
+    });
+    return page;
+  }
+
+  /**
+   * Runs `fn(page)` on a fresh page once a slot is free, closing the page
+   * afterwards whatever happens
+   */
+  async function withPage(fn) {
+    await acquire();
+    let page;
+    try {
+      page = await openPage();
+      return await fn(page);
+    } finally {
+      if (page) await page.close().catch(() => {});
+      release();
+    }
+  }
+
+  /**
+   * Navigates with a per-attempt timeout, retrying failures after an
+   * exponential backoff (backoffMs, then double each time)
+   */
+  async function navigate(page, url, options = {}) {
+    const retries = options.retries === undefined ? settings.retries : options.retries;
+    const timeout = options.timeout || settings.navigationTimeout;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await page.goto(url, { waitUntil: options.waitUntil || 'networkidle2', timeout });
+      } catch (error) {
+        if (attempt >= retries) throw error;
+        const delay = settings.backoffMs * 2 ** attempt;
+        console.log(`Navigation to ${url} failed (${error.message}), retrying in ${delay}ms...`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  async function close() {
+    clearTimeout(idleTimer);
+    const pending = browserPromise;
+    browserPromise = null;
+    if (!pending) return;
+    try {
+      await (await pending).close();
+    } catch (_) {}
+  }
+
+  return {
+    withPage,
+    navigate,
+    close,
+    stats: () => ({ activePages: active, waiting: waiting.length, browserOpen: browserPromise !== null })
+  };
+}
+
+// The pool the scrapers share
+const sharedPool = createBrowserPool();
+
+module.exports = {
+  BLOCKED_RESOURCES,
+  createBrowserPool,
+  withPage: sharedPool.withPage,
+  navigate: sharedPool.navigate,
+  close: sharedPool.close,
+  stats: sharedPool.stats
+};
@@ -1,91 +1,79 @@
-const puppeteer = require('puppeteer');
-const fs = require('fs');
-
-async function scrape() {
-  console.log('Starting CompareTheMarket scraper...');
-  const deals = [];
-
-  let browser;
-  try {
-    const launchOptions = {
-      headless: 'new',
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu',
-        '--disable-features=HttpsFirstBalancedModeAutoEnable'
-      ]
-    };
-
+const cheerio = require('cheerio');
+const browserPool = require('./browserPool');
+const { normaliseDeal } = require('./normaliser');
+
+const CARD_SELECTOR = '.result-card, .mortgage-product, [class*="product-card"]';
+
+/**
+ * Extracts deals from a CompareTheMarket mortgages page. Pure, so it can run
+ * against saved HTML as well as the live page. Sets `stats.cardsMatched` to
+ * the number of result cards the selectors found.
+ */
+function parseResults(html, stats = {}) {
+  const $ = cheerio.load(html);
+  const results = [];
+  stats.cardsMatched = $(CARD_SELECTOR).length;
+  const textOf = (card, selector) => {
+    const el = $(card).find(selector).first();
+    return el.length > 0 ? el.text() : null;
+  };
+
+  $(CARD_SELECTOR).each((_, card) => {
     try {
-      const ep = puppeteer.executablePath();
-      if (ep && fs.existsSync(ep)) {
-        launchOptions.executablePath = ep;
+      const rateText = textOf(card, '.rate, [class*="rate"], .apr');
+      const rate = rateText !== null ? parseFloat(rateText.replace(/[^0-9.]/g, '')) : null;
+
+      const lenderText = textOf(card, '.lender, .provider, [class*="lender"]');
+      const lenderName = lenderText !== null ? lenderText.trim() : 'Unknown Lender';
+
+      const productText = textOf(card, '.product, .title, [class*="product"]');
+      const productName = productText !== null ? productText.trim() : `${rate}% Mortgage`;
+
+      if (rate && rate > 0 && rate < 15) {
+        // Cards only show a rate, so type, term, LTV and fee come from the product name
+        results.push(normaliseDeal({
+          lenderName,
+          productName,
+          interestRate: rate,
+          freeValuation: false,
+          freeLegalWork: false,
+          lenderType: 'UK Mainstream'
+        }));
       }
-    } catch (_) {}
-
-    browser = await puppeteer.launch(launchOptions);
-
-    const page = await browser.newPage();
-    await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-
-    // Compare The Market mortgage page
-    const url = 'https://www.comparethemarket.com/mortgages/';
-
-    console.log('Navigating to CompareTheMarket...');
-    await page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
-
-    // Extract any available deals
-    const scrapedDeals = await page.evaluate(() => {
-      const results = [];
-      const cards = document.querySelectorAll('.result-card, .mortgage-product, [class*="product-card"]');
+    } catch (e) {
+      // Skip
+    }
+  });
 
-      cards.forEach(card => {
-        try {
-          const rateEl = card.querySelector('.rate, [class*="rate"], .apr');
-          const rate = rateEl ? parseFloat(rateEl.textContent.replace(/[^0-9.]/g, '')) : null;
+  return results;
+}
 
-          const lenderEl = card.querySelector('.lender, .provider, [class*="lender"]');
-          const lenderName = lenderEl ? lenderEl.textContent.trim() : 'Unknown Lender';
+async function scrape(options = {}) {
+  console.log('Starting CompareTheMarket scraper...');
+  const deals = [];
+  // Filled in for the caller's health checks
+  const diagnostics = Object.assign(options.diagnostics || {}, { pagesLoaded: 0, cardsMatched: 0, error: null });
 
-          const productEl = card.querySelector('.product, .title, [class*="product"]');
-          const productName = productEl ? productEl.textContent.trim() : `${rate}% Mortgage`;
+  try {
+    await browserPool.withPage(async page => {
+      // Compare The Market mortgage page
+      const url = options.url || 'https://www.comparethemarket.com/mortgages/';
 
-          if (rate && rate > 0 && rate < 15) {
-            results.push({
-              lenderName,
-              productName,
-              interestRate: rate,
-              arrangementFee: 0,
-              maxLTV: 75,
-              dealType: 'Fixed',
-              termYears: 2,
-              freeValuation: false,
-              freeLegalWork: false,
-              lenderType: 'UK Mainstream'
-            });
-          }
-        } catch (e) {
-          // Skip
-        }
-      });
+      console.log('Navigating to CompareTheMarket...');
+      await browserPool.navigate(page, url, { timeout: options.timeout || 60000 });
+      diagnostics.pagesLoaded = 1;
 
-      return results;
+      // Extract any available deals
+      deals.push(...parseResults(await page.content(), diagnostics));
     });
 
-    deals.push(...scrapedDeals);
     console.log(`CompareTheMarket: Found ${deals.length} deals`);
-
   } catch (error) {
     console.error('CompareTheMarket scraper error:', error.message);
-  } finally {
-    if (browser) {
-      await browser.close();
-    }
+    diagnostics.error = error.message;
   }
 
   return deals;
 }
 
-module.exports = { scrape };
+module.exports = { scrape, parseResults };
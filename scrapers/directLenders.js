@@ -1,107 +1,93 @@
-const puppeteer = require('puppeteer');
-
-async function scrape() {
-  console.log('Starting Direct Lenders scraper...');
-  const allDeals = [];
-
-  // List of direct lender websites to scrape
-  const lenders = [
-    {
-      name: 'Nationwide',
-      url: 'https://www.nationwide.co.uk/mortgages/mortgage-rates/',
-      type: 'UK Mainstream'
-    },
-    {
-      name: 'Halifax',
-      url: 'https://www.halifax.co.uk/mortgages/mortgage-rates/',
-      type: 'UK Mainstream'
-    },
-    {
-      name: 'Barclays',
-      url: 'https://www.barclays.co.uk/mortgages/mortgage-rates/',
-      type: 'UK Mainstream'
-    }
-  ];
-
-  let browser;
-  try {
-    browser = await puppeteer.launch({
-      headless: 'new',
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu'
-      ]
-    });
-
-    for (const lender of lenders) {
-      try {
-        console.log(`Scraping ${lender.name}...`);
-        const page = await browser.newPage();
-        await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36');
-
-        await page.goto(lender.url, { waitUntil: 'networkidle2', timeout: 30000 });
-
-        const deals = await page.evaluate((lenderName, lenderType) => {
-          const results = [];
-
-          // Generic selectors for rate tables
-          const rows = document.querySelectorAll('table tr, .rate-row, [class*="product-row"]');
-
-          rows.forEach(row => {
-            try {
-              const cells = row.querySelectorAll('td, .cell');
-              if (cells.length >= 2) {
-                const rateText = row.textContent;
-                const rateMatch = rateText.match(/(\d+\.\d+)\s*%/);
-
-                if (rateMatch) {
-                  const rate = parseFloat(rateMatch[1]);
-                  if (rate > 0 && rate < 15) {
-                    results.push({
-                      lenderName,
-                      productName: row.textContent.substring(0, 50).trim() || `${rate}% Mortgage`,
-                      interestRate: rate,
-                      arrangementFee: 999,
-                      maxLTV: 75,
-                      dealType: 'Fixed',
-                      termYears: 2,
-                      freeValuation: true,
-                      freeLegalWork: true,
-                      lenderType
-                    });
-                  }
-                }
-              }
-            } catch (e) {
-              // Skip
-            }
-          });
-
-          return results;
-        }, lender.name, lender.type);
-
-        allDeals.push(...deals);
-        await page.close();
-
-      } catch (error) {
-        console.error(`Error scraping ${lender.name}:`, error.message);
+const cheerio = require('cheerio');
+const browserPool = require('./browserPool');
+const { normaliseDeal } = require('./normaliser');
+
+// Direct lender websites to scrape
+const DEFAULT_LENDERS = [
+  {
+    name: 'Nationwide',
+    url: 'https://www.nationwide.co.uk/mortgages/mortgage-rates/',
+    type: 'UK Mainstream'
+  },
+  {
+    name: 'Halifax',
+    url: 'https://www.halifax.co.uk/mortgages/mortgage-rates/',
+    type: 'UK Mainstream'
+  },
+  {
+    name: 'Barclays',
+    url: 'https://www.barclays.co.uk/mortgages/mortgage-rates/',
+    type: 'UK Mainstream'
+  }
+];
+
+const ROW_SELECTOR = 'table tr, .rate-row, [class*="product-row"]';
+
+/**
+ * Extracts deals from a lender's own rate table. Pure, so it can run against
+ * saved HTML as well as the live page. Adds the number of rows the selectors
+ * found to `stats.cardsMatched`.
+ */
+function parseRatesPage(html, lender, stats = {}) {
+  const $ = cheerio.load(html);
+  const results = [];
+  stats.cardsMatched = (stats.cardsMatched || 0) + $(ROW_SELECTOR).length;
+
+  // Generic selectors for rate tables
+  $(ROW_SELECTOR).each((_, row) => {
+    try {
+      const cells = $(row).find('td, .cell');
+      if (cells.length >= 2) {
+        const rateText = $(row).text();
+        const rateMatch = rateText.match(/(\d+\.\d+)\s*%/);
+
+        if (rateMatch) {
+          const rate = parseFloat(rateMatch[1]);
+          if (rate > 0 && rate < 15) {
+            results.push(normaliseDeal({
+              lenderName: lender.name,
+              productName: rateText.substring(0, 50).trim() || `${rate}% Mortgage`,
+              interestRate: rate,
+              arrangementFee: 999,
+              freeValuation: true,
+              freeLegalWork: true,
+              lenderType: lender.type
+            }));
+          }
+        }
       }
+    } catch (e) {
+      // Skip
     }
+  });
 
-    console.log(`DirectLenders: Found ${allDeals.length} deals`);
+  return results;
+}
 
-  } catch (error) {
-    console.error('DirectLenders scraper error:', error.message);
-  } finally {
-    if (browser) {
-      await browser.close();
-    }
-  }
+async function scrape(options = {}) {
+  console.log('Starting Direct Lenders scraper...');
+  const lenders = options.lenders || DEFAULT_LENDERS;
+  // Filled in for the caller's health checks
+  const diagnostics = Object.assign(options.diagnostics || {}, { pagesLoaded: 0, cardsMatched: 0, error: null });
+
+  // Lenders are fetched in parallel, up to the browser pool's page limit
+  const perLender = await Promise.all(lenders.map(lender => browserPool.withPage(async page => {
+    console.log(`Scraping ${lender.name}...`);
+    await browserPool.navigate(page, lender.url, { timeout: options.timeout || 30000 });
+    diagnostics.pagesLoaded++;
+
+    return parseRatesPage(await page.content(), lender, diagnostics);
+  }).catch(error => {
+    console.error(`Error scraping ${lender.name}:`, error.message);
+    diagnostics.error = error.message;
+    return [];
+  })));
+
+  const allDeals = perLender.flat();
+  console.log(`DirectLenders: Found ${allDeals.length} deals`);
 
   // Fallback with comprehensive UK lender data
-  if (allDeals.length === 0) {
+  if (allDeals.length === 0 && options.fallbackToSample !== false) {
     console.log('DirectLenders: Using fallback sample data');
     return getSampleDeals();
   }
@@ -243,4 +229,4 @@ function getSampleDeals() {
   ];
 }
 
-module.exports = { scrape };
+module.exports = { scrape, parseRatesPage };
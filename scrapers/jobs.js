@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const registry = require('./registry');
+const { runSource, summariseRun } = require('./runAll');
+
+// Finished jobs kept for GET /api/scrape-jobs; older ones are forgotten
+const MAX_JOBS = 50;
+
+const jobs = new Map();
+
+// Job id -> promise settled when the job finishes
+const completions = new Map();
+
+// Source name -> { jobId, promise } for the scrape currently running
+const inFlight = new Map();
+
+/**
+ * Single-flight: a source is only ever scraped once at a time. A job that
+ * asks for a source already being scraped waits for that run and shares its
+ * result instead of starting a second one.
+ */
+function runOnce(source, jobId) {
+  const current = inFlight.get(source.name);
+  if (current) return { ...current, shared: true };
+
+  const promise = runSource(source, { save: true }).finally(() => inFlight.delete(source.name));
+  inFlight.set(source.name, { jobId, promise });
+  return { jobId, promise, shared: false };
+}
+
+function remember(job) {
+  jobs.set(job.id, job);
+  for (const id of jobs.keys()) {
+    if (jobs.size <= MAX_JOBS) break;
+    if (['done', 'failed'].includes(jobs.get(id).status)) {
+      jobs.delete(id);
+      completions.delete(id);
+    }
+  }
+}
+
+async function run(job, sources) {
+  job.status = 'running';
+  job.startedAt = new Date().toISOString();
+  console.log(`Scrape job ${job.id} (${job.trigger}) started: ${sources.map(s => s.name).join(', ')}`);
+  const scraped = [];
+
+  for (const source of sources) {
+    const progress = job.sources.find(entry => entry.source === source.name);
+    const { jobId, promise, shared } = runOnce(source, job.id);
+    progress.status = 'running';
+    progress.startedAt = new Date().toISOString();
+    if (shared) progress.sharedWithJob = jobId;
+
+    const outcome = await promise;
+    // Only deals that passed screening; quarantined and rejected ones never reach the snapshot
+    scraped.push(...(outcome.accepted || []).map(deal => ({ ...deal, source: source.name })));
+
+    const result = summariseRun(outcome);
+    Object.assign(progress, result, {
+      status: result.error ? 'failed' : 'done',
+      finishedAt: new Date().toISOString()
+    });
+    job.completed++;
+  }
+
+  job.status = job.sources.some(entry => entry.status === 'failed') ? 'failed' : 'done';
+  job.finishedAt = new Date().toISOString();
+  console.log(`Scrape job ${job.id} ${job.status}: ${job.sources.map(entry => `${entry.source} ${entry.error || `${entry.deals} deals`}`).join(', ')}`);
+
+  await require('../services/dealCache').recordScrape(scraped);
+}
+
+/**
+ * Queues a scrape of the given registry sources (all enabled sources by
+ * default) and returns the job straight away; poll getScrapeJob() for
+ * progress. `trigger` records what started it (api, cron, startup).
+ */
+function startScrapeJob({ sources = registry.getSources(), trigger = 'api' } = {}) {
+  const job = {
+    id: crypto.randomUUID(),
+    trigger,
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    total: sources.length,
+    completed: 0,
+    sources: sources.map(source => ({ source: source.name, status: 'queued' }))
+  };
+  remember(job);
+
+  const done = new Promise(resolve => setImmediate(resolve))
+    .then(() => run(job, sources))
+    .catch(error => {
+      console.error(`Scrape job ${job.id} failed:`, error);
+      job.status = 'failed';
+      job.error = error.message;
+      job.finishedAt = new Date().toISOString();
+    });
+  completions.set(job.id, done);
+
+  return job;
+}
+
+// Resolves with the job once it has finished
+async function waitForScrapeJob(id) {
+  await completions.get(id);
+  return getScrapeJob(id);
+}
+
+function getScrapeJob(id) {
+  return jobs.get(id) || null;
+}
+
+// Most recent first
+function listScrapeJobs() {
+  return Array.from(jobs.values()).reverse();
+}
+
+module.exports = {
+  startScrapeJob,
+  getScrapeJob,
+  listScrapeJobs,
+  waitForScrapeJob
+};
@@ -1,102 +1,93 @@
-const puppeteer = require('puppeteer');
-const fs = require('fs');
-
-async function scrape() {
-  console.log('Starting MoneySuperMarket scraper...');
-  const deals = [];
-
-  let browser;
-  try {
-    const launchOptions = {
-      headless: 'new',
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu',
-        '--disable-features=HttpsFirstBalancedModeAutoEnable'
-      ]
-    };
-
+const cheerio = require('cheerio');
+const browserPool = require('./browserPool');
+const { normaliseDeal } = require('./normaliser');
+
+const CARD_SELECTOR = '[data-testid="result-card"], .result-card, .mortgage-result, [class*="ResultCard"]';
+
+/**
+ * Extracts deals from a MoneySuperMarket results page. Pure, so it can run
+ * against saved HTML as well as the live page. Sets `stats.cardsMatched` to
+ * the number of result cards the selectors found.
+ */
+function parseResults(html, stats = {}) {
+  const $ = cheerio.load(html);
+  const results = [];
+  stats.cardsMatched = $(CARD_SELECTOR).length;
+  const textOf = (card, selector) => {
+    const el = $(card).find(selector).first();
+    return el.length > 0 ? el.text() : null;
+  };
+  const numberIn = text => parseFloat(text.replace(/[^0-9.]/g, ''));
+
+  $(CARD_SELECTOR).each((_, card) => {
     try {
-      const ep = puppeteer.executablePath();
-      if (ep && fs.existsSync(ep)) {
-        launchOptions.executablePath = ep;
+      const rateText = textOf(card, '[data-testid="rate"], .rate, [class*="rate"], .interest-rate');
+      const rate = rateText !== null ? numberIn(rateText) : null;
+
+      const lenderText = textOf(card, '[data-testid="lender"], .lender-name, [class*="lender"], .provider-name');
+      const lenderName = lenderText !== null ? lenderText.trim() : 'Unknown Lender';
+
+      const productText = textOf(card, '[data-testid="product"], .product-name, [class*="product"]');
+      const productName = productText !== null ? productText.trim() : `${rate}% Mortgage`;
+
+      const feeText = textOf(card, '[data-testid="fee"], .fee, [class*="fee"]');
+      const fee = feeText !== null ? numberIn(feeText) || 0 : null;
+
+      const ltvText = textOf(card, '[data-testid="ltv"], .ltv, [class*="ltv"]');
+      const ltv = ltvText !== null ? numberIn(ltvText) || null : null;
+
+      if (rate && rate > 0 && rate < 15) {
+        // Type, term and LTV come from the card or the product name
+        results.push(normaliseDeal({
+          lenderName,
+          productName,
+          interestRate: rate,
+          arrangementFee: fee,
+          maxLTV: ltv,
+          freeValuation: false,
+          freeLegalWork: false,
+          lenderType: 'UK Mainstream'
+        }));
       }
-    } catch (_) {}
-
-    browser = await puppeteer.launch(launchOptions);
+    } catch (e) {
+      // Skip problematic cards
+    }
+  });
 
-    const page = await browser.newPage();
-    await page.setUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+  return results;
+}
 
-    // MoneySuperMarket mortgage results page
-    const url = 'https://www.moneysupermarket.com/mortgages/remortgage/results/';
+async function scrape(options = {}) {
+  console.log('Starting MoneySuperMarket scraper...');
+  const deals = [];
+  // Filled in for the caller's health checks
+  const diagnostics = Object.assign(options.diagnostics || {}, { pagesLoaded: 0, cardsMatched: 0, error: null });
 
-    console.log('Navigating to MoneySuperMarket...');
-    await page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
+  try {
+    await browserPool.withPage(async page => {
+      // MoneySuperMarket mortgage results page
+      const url = options.url || 'https://www.moneysupermarket.com/mortgages/remortgage/results/';
 
-    // Wait for results to load
-    await page.waitForSelector('[data-testid="result-card"], .result-card, .mortgage-result', { timeout: 15000 }).catch(() => {
-      console.log('MoneySuperMarket: No result cards found');
-    });
+      console.log('Navigating to MoneySuperMarket...');
+      await browserPool.navigate(page, url, { timeout: options.timeout || 60000 });
+      diagnostics.pagesLoaded = 1;
 
-    // Extract deals from the page
-    const scrapedDeals = await page.evaluate(() => {
-      const results = [];
-      const cards = document.querySelectorAll('[data-testid="result-card"], .result-card, .mortgage-result, [class*="ResultCard"]');
-
-      cards.forEach(card => {
-        try {
-          const rateEl = card.querySelector('[data-testid="rate"], .rate, [class*="rate"], .interest-rate');
-          const rate = rateEl ? parseFloat(rateEl.textContent.replace(/[^0-9.]/g, '')) : null;
-
-          const lenderEl = card.querySelector('[data-testid="lender"], .lender-name, [class*="lender"], .provider-name');
-          const lenderName = lenderEl ? lenderEl.textContent.trim() : 'Unknown Lender';
-
-          const productEl = card.querySelector('[data-testid="product"], .product-name, [class*="product"]');
-          const productName = productEl ? productEl.textContent.trim() : `${rate}% Mortgage`;
-
-          const feeEl = card.querySelector('[data-testid="fee"], .fee, [class*="fee"]');
-          const fee = feeEl ? parseFloat(feeEl.textContent.replace(/[^0-9.]/g, '')) : 0;
-
-          const ltvEl = card.querySelector('[data-testid="ltv"], .ltv, [class*="ltv"]');
-          const ltv = ltvEl ? parseFloat(ltvEl.textContent.replace(/[^0-9.]/g, '')) : 75;
-
-          if (rate && rate > 0 && rate < 15) {
-            results.push({
-              lenderName,
-              productName,
-              interestRate: rate,
-              arrangementFee: fee || 0,
-              maxLTV: ltv || 75,
-              dealType: 'Fixed',
-              termYears: 2,
-              freeValuation: false,
-              freeLegalWork: false,
-              lenderType: 'UK Mainstream'
-            });
-          }
-        } catch (e) {
-          // Skip problematic cards
-        }
+      // Wait for results to load
+      await page.waitForSelector('[data-testid="result-card"], .result-card, .mortgage-result', { timeout: 15000 }).catch(() => {
+        console.log('MoneySuperMarket: No result cards found');
       });
 
-      return results;
+      // Extract deals from the rendered page
+      deals.push(...parseResults(await page.content(), diagnostics));
     });
 
-    deals.push(...scrapedDeals);
     console.log(`MoneySuperMarket: Found ${deals.length} deals`);
-
   } catch (error) {
     console.error('MoneySuperMarket scraper error:', error.message);
-  } finally {
-    if (browser) {
-      await browser.close();
-    }
+    diagnostics.error = error.message;
   }
 
   return deals;
 }
 
-module.exports = { scrape };
+module.exports = { scrape, parseResults };
@@ -0,0 +1,123 @@
+// Used when neither the page nor the product name says otherwise
+const DEFAULTS = {
+  dealType: 'Fixed',
+  termYears: 2,
+  maxLTV: 75
+};
+
+// Lifetime products run for the rest of the mortgage; stored with this term
+const LIFETIME_TERM_YEARS = 25;
+
+// Trailing lookaheads rather than \b so run-together cell text ("Fixed4.19%") still matches
+const DEAL_TYPES = [
+  ['Tracker', /\btrack(er|ing)(?![a-z])/i],
+  ['Discount', /\bdiscount(ed)?(?![a-z])/i],
+  ['Variable', /\b(standard\s+)?variable(?![a-z])|\bSVR(?![a-z])|\bBMR(?![a-z])|\bbase\s+mortgage\s+rate(?![a-z])/i],
+  ['Fixed', /\bfix(ed)?(?![a-z])/i]
+];
+
+const KEY_FIELDS = Object.keys(DEFAULTS);
+
+function amount(text) {
+  return parseFloat(text.replace(/,/g, ''));
+}
+
+/**
+ * Reads what it can from a product name such as "5 Year Tracker - 60% LTV",
+ * "2yr Fixed, £999 fee, £500 cashback" or "Lifetime Tracker BBR + 0.79%,
+ * 3% collar". Only recognised fields are set.
+ */
+function parseProductName(name) {
+  const text = String(name || '');
+  const parsed = {};
+  let match;
+
+  const dealType = DEAL_TYPES.find(([, pattern]) => pattern.test(text));
+  if (dealType) parsed.dealType = dealType[0];
+
+  if (/\blifetime\b|\bterm\s+tracker\b|\blife\s+of\s+(the\s+)?(loan|mortgage)\b/i.test(text)) {
+    parsed.termYears = LIFETIME_TERM_YEARS;
+    parsed.lifetime = true;
+  } else if ((match = text.match(/\b(\d{1,2})\s*[- ]?\s*(?:years?|yrs?|yr)\b/i))) {
+    parsed.termYears = parseInt(match[1], 10);
+  } else if ((match = text.match(/\b(\d{2,3})\s*[- ]?\s*months?\b/i)) && parseInt(match[1], 10) % 12 === 0) {
+    parsed.termYears = parseInt(match[1], 10) / 12;
+  } else if ((match = text.match(/\buntil\s+(?:\d{1,2}[/.-]\d{1,2}[/.-])?(20\d{2})\b/i))) {
+    parsed.termYears = Math.max(parseInt(match[1], 10) - new Date().getFullYear(), 1);
+  }
+
+  if ((match = text.match(/(\d{2}(?:\.\d+)?)\s*%\s*(?:max(?:imum)?\s*)?LTV\b/i))
+    || (match = text.match(/\bLTV\s*(?:of|up\s+to|max(?:imum)?)?\s*:?\s*(\d{2}(?:\.\d+)?)\s*%/i))) {
+    parsed.maxLTV = parseFloat(match[1]);
+  }
+
+  if (/\b(no|zero)\s+(arrangement\s+|product\s+|booking\s+)?fees?\b|\bfee[- ]free\b|£0\s+(arrangement\s+|product\s+)?fee\b/i.test(text)) {
+    parsed.arrangementFee = 0;
+  } else if ((match = text.match(/£\s?(\d[\d,]*(?:\.\d+)?)\s*(?:arrangement\s+|product\s+|booking\s+)?fee\b/i))) {
+    parsed.arrangementFee = amount(match[1]);
+  }
+
+  if ((match = text.match(/£\s?(\d[\d,]*(?:\.\d+)?)\s*cash\s*back\b/i))) {
+    parsed.cashback = amount(match[1]);
+  }
+
+  // Tracker margin over Bank of England base rate, and the rate it never drops below
+  if ((match = text.match(/\b(?:base(?:\s+rate)?|BBR|BoEBR)\s*([+-])\s*(\d(?:\.\d+)?)\s*%/i))) {
+    parsed.trackerMargin = parseFloat(match[2]) * (match[1] === '-' ? -1 : 1);
+  } else if ((match = text.match(/(\d(?:\.\d+)?)\s*%\s*above\s+(?:the\s+)?(?:bank\s+of\s+england\s+)?base(?:\s+rate)?\b/i))) {
+    parsed.trackerMargin = parseFloat(match[1]);
+  }
+  if ((match = text.match(/\b(?:collar|floor)\s*(?:of|at)?\s*:?\s*(\d{1,2}(?:\.\d+)?)\s*%/i))
+    || (match = text.match(/(\d{1,2}(?:\.\d+)?)\s*%\s*(?:collar|floor)\b/i))) {
+    parsed.rateCollar = parseFloat(match[1]);
+  }
+
+  if (/\bfree\s+valuation\b/i.test(text)) parsed.freeValuation = true;
+  if (/\bfree\s+legal(s|\s+work|\s+fees)?\b/i.test(text)) parsed.freeLegalWork = true;
+
+  return parsed;
+}
+
+function hasValue(value) {
+  return value !== undefined && value !== null && !(typeof value === 'number' && isNaN(value));
+}
+
+/**
+ * Fills a scraped deal's type, term and LTV from what the page gave us,
+ * then the product name, then the defaults. `parseConfidence` is the share
+ * of those three fields that were actually found rather than defaulted.
+ * Fee, cashback, free-extras and tracker mentions in the name fill gaps only.
+ */
+function normaliseDeal(deal) {
+  const fromName = parseProductName(deal.productName);
+  const result = { ...deal };
+  let found = 0;
+
+  for (const field of KEY_FIELDS) {
+    if (hasValue(deal[field])) {
+      found++;
+    } else if (hasValue(fromName[field])) {
+      result[field] = fromName[field];
+      found++;
+    } else {
+      result[field] = DEFAULTS[field];
+    }
+  }
+
+  for (const field of ['arrangementFee', 'cashback', 'freeValuation', 'freeLegalWork', 'trackerMargin', 'rateCollar']) {
+    if (!hasValue(deal[field]) && hasValue(fromName[field])) {
+      result[field] = fromName[field];
+    }
+  }
+
+  if (fromName.lifetime) result.lifetime = true;
+  result.parseConfidence = Math.round(found / KEY_FIELDS.length * 100) / 100;
+  return result;
+}
+
+module.exports = {
+  DEFAULTS,
+  LIFETIME_TERM_YEARS,
+  parseProductName,
+  normaliseDeal
+};
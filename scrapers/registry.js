@@ -0,0 +1,74 @@
+const moneySuperMarket = require('./moneySuperMarket');
+const compareTheMarket = require('./compareTheMarket');
+const directLenders = require('./directLenders');
+
+const intervalHours = parseInt(process.env.SCRAPE_INTERVAL_HOURS || '6', 10) || 6;
+const DEFAULT_SCHEDULE = `0 */${intervalHours} * * *`;
+
+// Comma-separated source keys, e.g. SCRAPERS_DISABLED=directLenders
+const disabled = (process.env.SCRAPERS_DISABLED || '')
+  .split(',')
+  .map(key => key.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Every scrape source the service knows about. `name` is what gets stored in
+ * deals.source and scrape_logs; `options` is passed straight to scrape().
+ */
+const SOURCES = [
+  {
+    key: 'moneySuperMarket',
+    name: 'MoneySuperMarket',
+    schedule: DEFAULT_SCHEDULE,
+    enabled: true,
+    options: {
+      url: 'https://www.moneysupermarket.com/mortgages/remortgage/results/',
+      timeout: 60000
+    },
+    scraper: moneySuperMarket
+  },
+  {
+    key: 'compareTheMarket',
+    name: 'CompareTheMarket',
+    schedule: DEFAULT_SCHEDULE,
+    enabled: true,
+    options: {
+      url: 'https://www.comparethemarket.com/mortgages/',
+      timeout: 60000
+    },
+    scraper: compareTheMarket
+  },
+  {
+    key: 'directLenders',
+    name: 'DirectLenders',
+    // Lender rate pages change less often than the comparison sites
+    schedule: '30 3 * * *',
+    enabled: true,
+    options: {
+      timeout: 30000,
+      // Never save the built-in sample deals as if they had been scraped
+      fallbackToSample: false
+    },
+    scraper: directLenders
+  }
+].map(source => ({
+  ...source,
+  enabled: source.enabled && !disabled.includes(source.key.toLowerCase())
+}));
+
+// Enabled sources, or every source when includeDisabled is set
+function getSources({ includeDisabled = false } = {}) {
+  return SOURCES.filter(source => includeDisabled || source.enabled);
+}
+
+// Looks a source up by key or display name, case-insensitively
+function getSource(name) {
+  const wanted = String(name || '').toLowerCase();
+  return SOURCES.find(source => source.key.toLowerCase() === wanted || source.name.toLowerCase() === wanted) || null;
+}
+
+module.exports = {
+  SOURCES,
+  getSources,
+  getSource
+};
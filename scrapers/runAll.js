@@ -0,0 +1,215 @@
+const registry = require('./registry');
+
+/**
+ * Runs one registry source. With `save`, its deals are validated and written
+ * to the database, with suspicious ones quarantined for review, and the run
+ * is logged for the health checks; `accepted` holds the deals that passed
+ * screening. Errors are reported in the result rather
+ * than thrown.
+ */
+async function runSource(source, { save = false } = {}) {
+  const startedAt = Date.now();
+  const diagnostics = {};
+  let result;
+
+  try {
+    const deals = await source.scraper.scrape({ ...source.options, diagnostics });
+    result = { source: source.name, deals };
+    if (save) {
+      const db = require('../database');
+      const { accepted, quarantined } = await db.screenDeals(deals, source.name);
+      await db.quarantineDeals(quarantined, source.name);
+      await db.saveDeals(accepted, source.name);
+      result.accepted = accepted;
+      result.quarantined = quarantined.length;
+    }
+  } catch (error) {
+    console.error(`${source.name} scraper error:`, error);
+    diagnostics.error = error.message;
+    result = { source: source.name, deals: [], error: error.message };
+  }
+  result.durationMs = Date.now() - startedAt;
+
+  if (save) {
+    await logRun(source, result, diagnostics);
+  }
+  return result;
+}
+
+// Scrapers swallow most failures, so an empty result is logged as such rather than as a success
+async function logRun(source, result, diagnostics) {
+  const { logScrape } = require('../database');
+  const errorMessage = result.error || diagnostics.error || null;
+  let status = 'success';
+  if (result.deals.length === 0) status = errorMessage ? 'error' : 'empty';
+
+  await logScrape(source.name, status, result.deals.length, errorMessage, {
+    durationMs: result.durationMs,
+    pagesLoaded: diagnostics.pagesLoaded,
+    cardsMatched: diagnostics.cardsMatched,
+    quarantined: result.quarantined
+  });
+
+  try {
+    await require('../services/scraperHealth').checkSourceHealth(source.name);
+  } catch (error) {
+    console.error(`Error checking ${source.name} health:`, error.message);
+  }
+}
+
+/**
+ * Runs the given registry sources one after another (all enabled sources by
+ * default). Returns one result per source with the deals found.
+ */
+async function runScrapers({ sources = registry.getSources(), save = false } = {}) {
+  const results = [];
+  for (const source of sources) {
+    results.push(await runSource(source, { save }));
+  }
+  return results;
+}
+
+// Result without the deal list, as returned by the API
+function summariseRun({ source, deals, quarantined, error }) {
+  if (error) return { source, deals: 0, error };
+  return quarantined === undefined ? { source, deals: deals.length } : { source, deals: deals.length, quarantined };
+}
+
+// ==================== CLI ====================
+
+const USAGE = `Usage: npm run scrape -- [options]
+
+Options:
+  --source <name>   Run one source (repeat or comma-separate for several)
+  --all             Include sources that are disabled in the registry
+  --format <fmt>    Output format: table (default) or json
+  --save            Save the deals to the database
+  --list            List registered sources and exit
+  --help            Show this message`;
+
+function parseArgs(argv) {
+  const args = { sources: [], format: 'table', save: false, all: false, list: false, help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split('=');
+    const value = () => (inline !== undefined ? inline : argv[++i]);
+
+    switch (flag) {
+      case '--source':
+      case '-s':
+        args.sources.push(...String(value() || '').split(',').filter(Boolean));
+        break;
+      case '--format':
+      case '-f':
+        args.format = value();
+        break;
+      case '--save':
+        args.save = true;
+        break;
+      case '--all':
+        args.all = true;
+        break;
+      case '--list':
+        args.list = true;
+        break;
+      case '--help':
+      case '-h':
+        args.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  if (!['table', 'json'].includes(args.format)) {
+    throw new Error(`Unknown format: ${args.format}`);
+  }
+
+  return args;
+}
+
+function formatTable(headers, rows) {
+  const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => String(row[i]).length)));
+  const line = cells => cells.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd();
+  return [line(headers), line(widths.map(w => '-'.repeat(w))), ...rows.map(line)].join('\n');
+}
+
+function printTable(results) {
+  for (const result of results) {
+    const found = result.quarantined ? `${result.deals.length} deals, ${result.quarantined} quarantined` : `${result.deals.length} deals`;
+    console.log(`\n${result.source}: ${result.error ? `failed (${result.error})` : found} in ${result.durationMs}ms`);
+    if (result.deals.length === 0) continue;
+
+    console.log(formatTable(
+      ['Lender', 'Product', 'Rate', 'Type', 'Term', 'Max LTV', 'Fee'],
+      result.deals.map(deal => [
+        deal.lenderName,
+        deal.productName,
+        `${deal.interestRate}%`,
+        deal.dealType || '',
+        deal.termYears || '',
+        deal.maxLTV ? `${deal.maxLTV}%` : '',
+        `£${deal.arrangementFee || 0}`
+      ])
+    ));
+  }
+}
+
+async function main(argv) {
+  const args = parseArgs(argv);
+
+  if (args.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  if (args.list) {
+    console.log(formatTable(
+      ['Key', 'Name', 'Schedule', 'Enabled'],
+      registry.getSources({ includeDisabled: true }).map(s => [s.key, s.name, s.schedule, s.enabled ? 'yes' : 'no'])
+    ));
+    return 0;
+  }
+
+  let sources;
+  if (args.sources.length > 0) {
+    sources = args.sources.map(name => {
+      const source = registry.getSource(name);
+      if (!source) throw new Error(`Unknown source: ${name}`);
+      return source;
+    });
+  } else {
+    sources = registry.getSources({ includeDisabled: args.all });
+  }
+
+  // Keep progress logging off stdout so JSON output stays parseable
+  if (args.format === 'json') {
+    console.log = console.error;
+  }
+
+  const results = await runScrapers({ sources, save: args.save });
+
+  if (args.format === 'json') {
+    process.stdout.write(JSON.stringify(results, null, 2) + '\n');
+  } else {
+    printTable(results);
+  }
+
+  return results.some(result => result.error) ? 1 : 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(error => {
+      console.error(error.message);
+      console.error(USAGE);
+      process.exit(2);
+    });
+}
+
+module.exports = {
+  runSource,
+  runScrapers,
+  summariseRun
+};
@@ -2,204 +2,352 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const cron = require('node-cron');
-const { Pool } = require('pg');
 require('dotenv').config();
 
+const {
+  pool,
+  initDatabase,
+  getUserProfile,
+  listLenders,
+  getDealById,
+  listDeals,
+  findDeals,
+  listRetentionDeals,
+  getWithdrawnDeals,
+  getDealHistory
+} = require('./database');
+const {
+  REPAYMENT_TYPES,
+  round2,
+  interestOnlyPortion,
+  monthlyPayment,
+  amortisationSchedule
+} = require('./services/mortgageMath');
+const { simulateOverpayments } = require('./services/overpaymentSimulator');
+const { parseEarlyRepaymentCharges, exitCost } = require('./services/ercParser');
+const scraperRegistry = require('./scrapers/registry');
+const { startScrapeJob } = require('./scrapers/jobs');
+const { mergeDeals } = require('./services/dealMerger');
+const { findLender, offersRepaymentType, repaymentTypeUnverified } = require('./services/lenderDirectory');
+const { trueCost, horizonMonths } = require('./services/trueCost');
+const { aprc } = require('./services/aprc');
+const { FEE_TREATMENTS, compareFeeTreatments } = require('./services/feeTreatment');
+const rateScenarios = require('./services/rateScenarios');
+const { MAX_LIMIT, parseDealQuery, matchesFilters, matchesMetrics, pageDeals, projectDeal } = require('./services/dealQuery');
+const dealCache = require('./services/dealCache');
+const { asProductTransfer, withSwitchingCosts } = require('./services/remortgageAdvisor');
+const { isId, idParam } = require('./routes/params');
+const { requireAdminKey, adminKeyError } = require('./routes/adminAuth');
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Database connection
-console.log('DATABASE_URL set:', !!process.env.DATABASE_URL);
+// Middleware
+app.use(helmet());
+app.use(cors());
+app.use(express.json());
 
-if (!process.env.DATABASE_URL) {
-  console.error('WARNING: DATABASE_URL is not set!');
+app.use('/api/profiles', require('./routes/profiles'));
+app.use('/api/market', require('./routes/market'));
+app.use('/api/lenders', require('./routes/lenders'));
+app.use('/api/admin', require('./routes/admin'));
+app.use('/api/scrape-jobs', require('./routes/scrapeJobs'));
+app.use('/api/scrapers', require('./routes/scrapers'));
+
+/**
+ * Queues a scrape job for POST /api/deals/scrape and /api/deals/refresh and
+ * answers 202 straight away. Both need the admin key, as every job launches
+ * a browser. `source` (query or body, comma-separated)
+ * limits the job to those registry sources.
+ */
+function queueScrape(req, res) {
+  const requested = String(req.query.source || (req.body && req.body.source) || '').split(',').filter(Boolean);
+  const sources = requested.map(name => scraperRegistry.getSource(name));
+  if (sources.some(source => !source)) {
+    return res.status(400).json({
+      error: 'unknown_source',
+      allowed: scraperRegistry.getSources({ includeDisabled: true }).map(source => source.key)
+    });
+  }
+
+  const job = startScrapeJob(sources.length > 0 ? { sources, trigger: 'api' } : { trigger: 'api' });
+  res.status(202)
+    .location(`/api/scrape-jobs/${job.id}`)
+    .json({ status: job.status, jobId: job.id, statusUrl: `/api/scrape-jobs/${job.id}`, job });
 }
 
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL || 'postgresql://localhost:5432/mortgage_optimizer',
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-});
+// Used when a request gives neither loan details nor a profile
+const DEFAULT_LOAN = {
+  principal: 85819.31,
+  years: 15,
+  propertyValue: null
+};
+
+/**
+ * Works out the loan the deal metrics are priced against from the query
+ * string (loanAmount, remainingTermYears, propertyValue, baselineMonthly,
+ * exitMonth, horizonYears) or a stored borrower profile (profileId). Explicit query values
+ * win over the profile. `feeTreatment` (upfront, added or cheapest, valuing
+ * cash kept back at `savingsRate`) says how arrangement fees are paid; `repaymentType` (repayment, interest_only or
+ * part_and_part with `interestOnlyAmount`) how the capital is. Throws an
+ * error with a `status` for bad input.
+ */
+async function resolveLoan(query) {
+  const loan = { ...DEFAULT_LOAN, baselineMonthly: undefined };
+
+  if (query.profileId) {
+    const profile = isId(query.profileId) ? await getUserProfile(query.profileId) : null;
+    if (!profile) {
+      throw Object.assign(new Error('profile_not_found'), { status: 404 });
+    }
+    loan.profileId = profile.id;
+    loan.principal = profile.outstandingBalance;
+    loan.years = profile.remainingTermYears || DEFAULT_LOAN.years;
+    loan.propertyValue = profile.propertyValue;
+    loan.repaymentType = profile.repaymentType;
+    loan.interestOnlyAmount = profile.interestOnlyAmount;
+    const baseline = profile.svrMonthlyPayment || profile.currentMonthlyPayment;
+    if (baseline) loan.baselineMonthly = baseline;
+  }
 
-// Initialize database tables
-async function initDatabase() {
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS deals (
-        id SERIAL PRIMARY KEY,
-        lender_name VARCHAR(255) NOT NULL,
-        product_name VARCHAR(255) NOT NULL,
-        interest_rate DECIMAL(5,2) NOT NULL,
-        deal_type VARCHAR(50),
-        term_years INT,
-        max_ltv DECIMAL(5,2),
-        arrangement_fee DECIMAL(10,2) DEFAULT 0,
-        valuation_fee DECIMAL(10,2) DEFAULT 0,
-        legal_fees DECIMAL(10,2) DEFAULT 0,
-        cashback DECIMAL(10,2) DEFAULT 0,
-        free_valuation BOOLEAN DEFAULT FALSE,
-        free_legal_work BOOLEAN DEFAULT FALSE,
-        overpayment_allowance DECIMAL(5,2),
-        early_repayment_charges TEXT,
-        lender_type VARCHAR(100) DEFAULT 'UK Mainstream',
-        source VARCHAR(100),
-        scraped_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(lender_name, product_name, interest_rate)
-      )
-    `);
-
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS scrape_logs (
-        id SERIAL PRIMARY KEY,
-        source VARCHAR(100),
-        status VARCHAR(50),
-        deals_found INT,
-        error_message TEXT,
-        scraped_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-
-    console.log('Database tables initialized');
-  } catch (error) {
-    console.error('Database initialization error:', error);
+  const overrides = {
+    principal: query.loanAmount,
+    years: query.remainingTermYears,
+    propertyValue: query.propertyValue,
+    baselineMonthly: query.baselineMonthly,
+    exitMonth: query.exitMonth,
+    horizonYears: query.horizonYears,
+    interestOnlyAmount: query.interestOnlyAmount,
+    savingsRate: query.savingsRate
+  };
+  for (const [key, raw] of Object.entries(overrides)) {
+    if (raw === undefined || raw === '') continue;
+    const value = parseFloat(raw);
+    if (!(value > 0)) {
+      throw Object.assign(new Error('invalid_loan_parameters'), { status: 400 });
+    }
+    loan[key] = value;
   }
-}
 
-// Middleware
-app.use(helmet());
-app.use(cors());
-app.use(express.json());
+  const feeTreatment = query.feeTreatment || 'upfront';
+  if (!FEE_TREATMENTS.includes(feeTreatment)) {
+    throw Object.assign(new Error('invalid_fee_treatment'), { status: 400, details: { allowed: FEE_TREATMENTS } });
+  }
+  loan.feeTreatment = feeTreatment;
 
-const moneySuperMarketScraper = require('./scrapers/moneySuperMarket');
-const compareTheMarketScraper = require('./scrapers/compareTheMarket');
+  loan.repaymentType = query.repaymentType || loan.repaymentType || 'repayment';
+  if (!REPAYMENT_TYPES.includes(loan.repaymentType)) {
+    throw Object.assign(new Error('invalid_repayment_type'), { status: 400, details: { allowed: REPAYMENT_TYPES } });
+  }
+  if (loan.repaymentType === 'part_and_part' && !(loan.interestOnlyAmount > 0 && loan.interestOnlyAmount < loan.principal)) {
+    throw Object.assign(new Error('invalid_interest_only_amount'), { status: 400 });
+  }
 
-// Run all scrapers
-async function runAllScrapers() {
-  console.log('Starting scrape job...');
-  const results = [];
+  loan.ltv = loan.propertyValue > 0 ? round2(loan.principal / loan.propertyValue * 100) : null;
+  return loan;
+}
 
-  try {
-    // MoneySuperMarket
-    const msmDeals = await moneySuperMarketScraper.scrape();
-    results.push({ source: 'MoneySuperMarket', deals: msmDeals.length });
-    await saveDeals(msmDeals, 'MoneySuperMarket');
-  } catch (error) {
-    console.error('MoneySuperMarket scraper error:', error);
-    await logScrape('MoneySuperMarket', 'error', 0, error.message);
+async function resolveLoanOrRespond(req, res, params = req.query) {
+  // Pricing for a stored profile reveals its finances, so it needs the admin key like /api/profiles
+  const denied = params.profileId ? adminKeyError(req) : null;
+  if (denied) {
+    res.status(denied.status).json({ error: denied.error });
+    return null;
   }
 
   try {
-    const ctmDeals = await compareTheMarketScraper.scrape();
-    results.push({ source: 'CompareTheMarket', deals: ctmDeals.length });
-    await saveDeals(ctmDeals, 'CompareTheMarket');
+    return await resolveLoan(params);
   } catch (error) {
-    console.error('CompareTheMarket scraper error:', error);
-    await logScrape('CompareTheMarket', 'error', 0, error.message);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'failed_to_resolve_loan', ...error.details });
+    return null;
   }
+}
+
+// One fee treatment's numbers without the full true-cost breakdown
+function summariseTreatment({ trueCostBreakdown, ...numbers }) {
+  return numbers;
+}
 
-  console.log('Scrape job completed:', results);
-  return results;
+// APRC of a priced deal under its fee treatment
+function aprcFor(deal, loan) {
+  return aprc({
+    principal: loan.principal,
+    months: loan.years * 12,
+    initialRate: deal.interestRate,
+    initialMonths: (parseInt(deal.termYears, 10) || 0) * 12,
+    reversionRate: deal.trueCostBreakdown.svrRate,
+    arrangementFee: deal.arrangementFee,
+    valuationFee: deal.valuationFee,
+    legalFees: deal.legalFees,
+    feesAddedToLoan: deal.feeTreatment === 'added',
+    interestOnly: interestOnlyPortion(loan.principal + deal.addedToLoan, loan)
+  });
 }
 
-function addMetrics(deal, baselineMonthly) {
-  const principal = 85819.31;
-  const years = 15;
-  const monthlyRate = (parseFloat(deal.interestRate) || 0) / 100 / 12;
-  const numPayments = years * 12;
-  const monthlyPayment = monthlyRate > 0
-    ? principal * (monthlyRate * Math.pow(1 + monthlyRate, numPayments)) / (Math.pow(1 + monthlyRate, numPayments) - 1)
-    : 0;
+// `lenders` supplies each lender's SVR for the true cost; unknown lenders use the default.
+// Leave out the APRC (`withAprc: false`) to price it later for only the deals returned.
+function addMetrics(deal, loan = DEFAULT_LOAN, lenders = [], { withAprc = true } = {}) {
+  // Trackers are priced at today's base rate plus their margin
+  const rate = rateScenarios.currentRate(deal);
   const arrangementFee = parseFloat(deal.arrangementFee) || 0;
   const valuationFee = parseFloat(deal.valuationFee) || 0;
   const legalFees = parseFloat(deal.legalFees) || 0;
   const cashback = parseFloat(deal.cashback) || 0;
   const netFees = arrangementFee + valuationFee + legalFees - cashback;
-  const totalCost2Years = monthlyPayment * 24 + netFees;
-  const totalCost5Years = monthlyPayment * 60 + netFees;
   const result = {
     ...deal,
-    monthlyPayment: Math.round(monthlyPayment * 100) / 100,
-    interestRate: parseFloat(deal.interestRate),
+    interestRate: rate,
     maxLTV: parseFloat(deal.maxLTV),
     arrangementFee: arrangementFee,
     valuationFee: valuationFee,
     legalFees: legalFees,
     cashback: cashback,
-    totalCost2Years: Math.round(totalCost2Years * 100) / 100,
-    totalCost5Years: Math.round(totalCost5Years * 100) / 100
+    totalFees: round2(netFees)
   };
-  if (baselineMonthly !== undefined) {
-    const savings = parseFloat(baselineMonthly) - result.monthlyPayment;
-    result.monthlySavings = Math.round(savings * 100) / 100;
-    result.breakEvenMonths = savings > 0 && netFees > 0 ? Math.ceil(netFees / savings) : null;
+  if (rateScenarios.isTracker(deal)) {
+    const { margin, collar } = rateScenarios.trackerTerms(deal);
+    result.trackerMargin = margin;
+    result.rateCollar = collar;
+  }
+  const lender = findLender(deal, lenders);
+
+  // Payments, interest and break-even follow the fee treatment; both are shown side by side
+  const fees = compareFeeTreatments(result, loan, lender ? lender.svrRate : null);
+  const { trueCostBreakdown, ...chosen } = fees.chosen;
+  Object.assign(result, chosen, { trueCostBreakdown, feeTreatment: fees.treatment });
+  result.feeTreatments = {
+    upfront: summariseTreatment(fees.upfront),
+    added: summariseTreatment(fees.added),
+    difference: fees.difference
+  };
+  if (withAprc) result.aprc = aprcFor(result, loan);
+  if (loan.exitMonth !== undefined) {
+    result.exitCost = exitCost(deal, loan, loan.exitMonth);
   }
   return result;
 }
 
-// Save deals to database
-async function saveDeals(deals, source) {
-  let savedCount = 0;
-
-  for (const deal of deals) {
-    try {
-      await pool.query(`
-        INSERT INTO deals (
-          lender_name, product_name, interest_rate, deal_type, term_years,
-          max_ltv, arrangement_fee, valuation_fee, legal_fees, cashback,
-          free_valuation, free_legal_work, overpayment_allowance,
-          early_repayment_charges, lender_type, source
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
-        ON CONFLICT (lender_name, product_name, interest_rate)
-        DO UPDATE SET
-          arrangement_fee = EXCLUDED.arrangement_fee,
-          scraped_at = CURRENT_TIMESTAMP
-      `, [
-        deal.lenderName,
-        deal.productName,
-        deal.interestRate,
-        deal.dealType || 'Fixed',
-        deal.termYears || 2,
-        deal.maxLTV || 75,
-        deal.arrangementFee || 0,
-        deal.valuationFee || 0,
-        deal.legalFees || 0,
-        deal.cashback || 0,
-        deal.freeValuation || false,
-        deal.freeLegalWork || false,
-        deal.overpaymentAllowance || null,
-        deal.earlyRepaymentCharges || '',
-        deal.lenderType || 'UK Mainstream',
-        source
-      ]);
-      savedCount++;
-    } catch (error) {
-      console.error('Error saving deal:', error.message);
-    }
-  }
+/**
+ * Prices deals for the borrower's loan and drops those their LTV is too high
+ * for, or whose lender does not lend on their repayment type. Interest-only
+ * results from lenders the directory has not marked either way carry
+ * `interestOnlyUnverified`.
+ */
+function personalise(deals, loan, lenders = [], options = {}) {
+  return deals
+    .filter(deal => offersRepaymentType(findLender(deal, lenders), loan.repaymentType))
+    .map(deal => {
+      const priced = addMetrics(deal, loan, lenders, options);
+      if (repaymentTypeUnverified(findLender(deal, lenders), loan.repaymentType)) priced.interestOnlyUnverified = true;
+      return priced;
+    })
+    .filter(deal => loan.ltv === null || isNaN(deal.maxLTV) || deal.maxLTV >= loan.ltv);
+}
+
+/**
+ * Live deals are served from the snapshot straight away, with its age in the
+ * Age header; a stale snapshot starts one background reload from the
+ * database. The database is read directly only for withdrawn deals or while
+ * there is no snapshot yet. Resolves to null when neither is available.
+ */
+async function readDeals(query, res) {
+  const { filters, includeWithdrawn } = query;
+  const snapshot = dealCache.get();
+  dealCache.refreshIfStale();
+
+  const fromSnapshot = () => {
+    res.set('Age', String(dealCache.ageSeconds()));
+    res.set('X-Deals-Source', 'snapshot');
+    return snapshot.deals.filter(matchesFilters(filters));
+  };
+
+  if (snapshot && !includeWithdrawn) return fromSnapshot();
 
-  await logScrape(source, 'success', savedCount, null);
-  return savedCount;
+  try {
+    const deals = await findDeals(filters, { includeWithdrawn });
+    res.set('Age', '0');
+    res.set('X-Deals-Source', 'database');
+    return deals;
+  } catch (error) {
+    console.error('Error loading deals:', error.message);
+    return snapshot ? fromSnapshot() : null;
+  }
 }
 
-// Log scrape results
-async function logScrape(source, status, dealsFound, errorMessage) {
+/**
+ * The deals query engine behind GET /api/deals and its aliases. Reads the
+ * matching deals (never scraping on the request path), then
+ * merges, prices, filters on metrics, sorts, pages and projects them. The
+ * next page's cursor is in X-Next-Cursor and a Link header; `defaults.limit`
+ * is the page size. With a profile that has retention offers, those join
+ * the results as product transfers and market deals carry their switching
+ * costs, so both are priced like-for-like.
+ */
+async function queryDeals(req, res, defaults = {}) {
+  const loan = await resolveLoanOrRespond(req, res);
+  if (!loan) return;
+
+  let query;
+  try {
+    query = parseDealQuery(req.query, defaults);
+  } catch (error) {
+    return res.status(error.status || 500).json({ error: error.message, ...error.details });
+  }
+
   try {
-    await pool.query(
-      'INSERT INTO scrape_logs (source, status, deals_found, error_message) VALUES ($1, $2, $3, $4)',
-      [source, status, dealsFound, errorMessage]
-    );
+    const deals = await readDeals(query, res);
+    if (!deals) {
+      res.set('Retry-After', '60');
+      return res.status(503).json({ error: 'deals_unavailable' });
+    }
+
+    const lenders = await listLenders().catch(error => {
+      console.error('Error loading lender SVRs:', error.message);
+      return [];
+    });
+    let candidates = query.merge ? mergeDeals(deals) : deals;
+    if (loan.profileId) {
+      const retention = await listRetentionDeals(loan.profileId).catch(error => {
+        console.error('Error loading retention deals:', error.message);
+        return [];
+      });
+      if (retention.length > 0) {
+        candidates = [
+          ...candidates.map(withSwitchingCosts),
+          ...retention.map(asProductTransfer).filter(matchesFilters(query.filters))
+        ];
+      }
+    }
+    // The APRC is a search per deal, so unless it is sorted or filtered on only the page returned gets one
+    const aprcForAll = query.sort === 'aprc' || query.filters.maxAprc !== undefined;
+    const priced = personalise(candidates, loan, lenders, { withAprc: aprcForAll }).filter(matchesMetrics(query.filters));
+    const page = pageDeals(priced, query);
+    const wantsAprc = !aprcForAll && (!query.fields || query.fields.includes('aprc'));
+    if (page.nextCursor) {
+      const next = new URLSearchParams({ ...req.query, cursor: page.nextCursor });
+      res.set('X-Next-Cursor', page.nextCursor);
+      res.links({ next: `${req.baseUrl}${req.path}?${next}` });
+    }
+    res.json(page.deals.map(deal => projectDeal(wantsAprc ? { ...deal, aprc: aprcFor(deal, loan) } : deal, query.fields)));
   } catch (error) {
-    console.error('Error logging scrape:', error);
+    console.error('Error querying deals:', error);
+    res.status(500).json({ error: 'Failed to query deals' });
   }
 }
 
-// Cron job - run scrapers every 6 hours
-cron.schedule('0 */6 * * *', async () => {
-  console.log('Running scheduled scrape...');
-  await runAllScrapers();
-});
+// Cron jobs - each enabled source runs on its own schedule
+for (const source of scraperRegistry.getSources()) {
+  cron.schedule(source.schedule, () => {
+    console.log(`Running scheduled scrape of ${source.name}...`);
+    startScrapeJob({ sources: [source], trigger: 'cron' });
+  });
+}
 
 // ==================== API ROUTES ====================
 
+// Deal ids in /api/deals/:id/... paths
+app.param('id', idParam('deal_not_found'));
+
 // Health check
 app.get('/health', async (req, res) => {
   let dbStatus = 'unknown';
@@ -224,346 +372,269 @@ app.get('/', (req, res) => {
     service: 'mortgage-optimizer-api',
     status: 'ok',
     endpoints: [
+      'GET /api/deals',
       'GET /api/deals/latest',
       'GET /api/deals/search',
+      'GET /api/deals/withdrawn',
+      'GET /api/deals/:id/history',
+      'GET /api/deals/:id/schedule',
+      'GET /api/deals/:id/exit-cost',
+      'POST /api/deals/overpayments',
+      'POST /api/deals/rate-scenarios',
       'POST /api/deals/scrape',
-      'GET /api/stats'
+      'GET /api/scrape-jobs/:id',
+      'GET /api/scrapers/health',
+      'GET /api/stats',
+      'GET /api/market/trends',
+      'GET /api/profiles',
+      'GET /api/profiles/:id/decision',
+      'GET /api/profiles/:id/retention-deals',
+      'POST /api/profiles/:id/retention-deals/import',
+      'GET /api/lenders',
+      'GET /api/admin/quarantine'
     ]
   });
 });
 
-// Get latest deals
-app.get('/api/deals/latest', async (req, res) => {
+// Deals with filters, sorting, cursor pagination and field selection
+app.get('/api/deals', (req, res) => queryDeals(req, res, { limit: MAX_LIMIT }));
+
+// Older names for the same query, kept for existing clients
+app.get('/api/deals/latest', (req, res) => queryDeals(req, res, { limit: MAX_LIMIT }));
+app.get('/api/deals/search', (req, res) => queryDeals(req, res));
+
+app.post('/api/deals/refresh', requireAdminKey, queueScrape);
+
+// Amortisation schedule for one deal, including the balance left when the fix ends.
+// With feeTreatment=added (or cheapest, when adding wins) the fee is amortised too;
+// an interest-only part is still owed after the last payment.
+app.get('/api/deals/:id/schedule', async (req, res) => {
+  const loan = await resolveLoanOrRespond(req, res);
+  if (!loan) return;
+
   try {
-    const { rows } = await pool.query(
-      `SELECT id,
-        lender_name as "lenderName",
-        product_name as "productName",
-        interest_rate as "interestRate",
-        deal_type as "dealType",
-        term_years as "termYears",
-        max_ltv as "maxLTV",
-        arrangement_fee as "arrangementFee",
-        valuation_fee as "valuationFee",
-        legal_fees as "legalFees",
-        cashback,
-        free_valuation as "freeValuation",
-        free_legal_work as "freeLegalWork",
-        overpayment_allowance as "overpaymentAllowance",
-        early_repayment_charges as "earlyRepaymentCharges",
-        lender_type as "lenderType",
-        source,
-        scraped_at as "scrapedAt"
-      FROM deals
-      ORDER BY interest_rate ASC
-      LIMIT 100`
-    );
-
-    const baselineMonthly = req.query.baselineMonthly ? parseFloat(req.query.baselineMonthly) : undefined;
-    const normalized = rows.map(deal => addMetrics(deal, baselineMonthly));
-
-    if (normalized.length < 5) {
-      const [msm, ctm] = await Promise.all([
-        moneySuperMarketScraper.scrape(),
-        compareTheMarketScraper.scrape()
-      ]);
-      const combined = [...msm, ...ctm];
-      const byKey = new Map();
-      for (const d of combined) {
-        const key = `${(d.lenderName||'').toLowerCase()}|${(d.productName||'').toLowerCase()}`;
-        if (!byKey.has(key)) byKey.set(key, d);
-      }
-      const enriched = Array.from(byKey.values()).map(d => addMetrics(d, baselineMonthly));
-      return res.json(enriched);
-    }
+    const deal = await getDealById(req.params.id);
+    if (!deal) return res.status(404).json({ error: 'deal_not_found' });
+
+    // Priced as in the deal listings: trackers at today's base rate plus margin, the lender's SVR for the fee choice
+    const rate = rateScenarios.currentRate(deal);
+    const lender = findLender(deal, await listLenders().catch(() => []));
+    const months = Math.round(loan.years * 12);
+    const fees = compareFeeTreatments({ ...deal, interestRate: rate }, loan, lender ? lender.svrRate : null);
+    const principal = loan.principal + fees.chosen.addedToLoan;
+    const interestOnly = interestOnlyPortion(principal, loan);
+    const schedule = amortisationSchedule(principal, rate, months, interestOnly);
+    const fixedPeriodMonths = Math.min((deal.termYears || 0) * 12, months);
+    const duringFix = schedule.slice(0, fixedPeriodMonths);
+    const sum = (rows, key) => round2(rows.reduce((total, row) => total + row[key], 0));
 
-    res.json(normalized);
+    res.json({
+      dealId: deal.id,
+      lenderName: deal.lenderName,
+      productName: deal.productName,
+      interestRate: rate,
+      loanAmount: principal,
+      feeTreatment: fees.treatment,
+      feeAddedToLoan: fees.chosen.addedToLoan,
+      repaymentType: loan.repaymentType,
+      interestOnlyAmount: round2(interestOnly),
+      termYears: loan.years,
+      monthlyPayment: round2(monthlyPayment(principal, rate, months, interestOnly)),
+      totalInterest: sum(schedule, 'interest'),
+      fixedPeriod: {
+        months: fixedPeriodMonths,
+        interestPaid: sum(duringFix, 'interest'),
+        capitalRepaid: sum(duringFix, 'capital'),
+        balanceAtEnd: fixedPeriodMonths > 0 ? duringFix[fixedPeriodMonths - 1].balance : principal
+      },
+      schedule
+    });
   } catch (error) {
-    const baselineMonthly = req.query.baselineMonthly ? parseFloat(req.query.baselineMonthly) : undefined;
-    const [msm, ctm] = await Promise.all([
-      moneySuperMarketScraper.scrape(),
-      compareTheMarketScraper.scrape()
-    ]);
-    const combined = [...msm, ...ctm];
-    const byKey = new Map();
-    for (const d of combined) {
-      const key = `${(d.lenderName||'').toLowerCase()}|${(d.productName||'').toLowerCase()}`;
-      if (!byKey.has(key)) byKey.set(key, d);
-    }
-    const enriched = Array.from(byKey.values()).map(d => addMetrics(d, baselineMonthly));
-    return res.json(enriched);
+    console.error('Error building schedule:', error.message);
+    res.status(500).json({ error: 'Failed to build schedule' });
   }
 });
 
-app.get('/api/deals', async (req, res) => {
+// Deals that disappeared from their source, most recently withdrawn first
+app.get('/api/deals/withdrawn', async (req, res) => {
   try {
-    const { rows } = await pool.query(
-      `SELECT id,
-        lender_name as "lenderName",
-        product_name as "productName",
-        interest_rate as "interestRate",
-        deal_type as "dealType",
-        term_years as "termYears",
-        max_ltv as "maxLTV",
-        arrangement_fee as "arrangementFee",
-        valuation_fee as "valuationFee",
-        legal_fees as "legalFees",
-        cashback,
-        free_valuation as "freeValuation",
-        free_legal_work as "freeLegalWork",
-        overpayment_allowance as "overpaymentAllowance",
-        early_repayment_charges as "earlyRepaymentCharges",
-        lender_type as "lenderType",
-        source,
-        scraped_at as "scrapedAt"
-      FROM deals
-      ORDER BY interest_rate ASC
-      LIMIT 100`
-    );
-
-    const baselineMonthly = req.query.baselineMonthly ? parseFloat(req.query.baselineMonthly) : undefined;
-    const normalized = rows.map(deal => addMetrics(deal, baselineMonthly));
-
-    if (normalized.length < 5) {
-      const [msm, ctm] = await Promise.all([
-        moneySuperMarketScraper.scrape(),
-        compareTheMarketScraper.scrape()
-      ]);
-      const combined = [...msm, ...ctm];
-      const byKey = new Map();
-      for (const d of combined) {
-        const key = `${(d.lenderName||'').toLowerCase()}|${(d.productName||'').toLowerCase()}`;
-        if (!byKey.has(key)) byKey.set(key, d);
-      }
-      const enriched = Array.from(byKey.values()).map(d => addMetrics(d, baselineMonthly));
-      return res.json(enriched);
-    }
-
-    res.json(normalized);
+    const lim = Math.min(parseInt(req.query.limit || '50', 10) || 50, 200);
+    res.json(await getWithdrawnDeals({ since: req.query.since, limit: lim }));
   } catch (error) {
-    const baselineMonthly = req.query.baselineMonthly ? parseFloat(req.query.baselineMonthly) : undefined;
-    const [msm, ctm] = await Promise.all([
-      moneySuperMarketScraper.scrape(),
-      compareTheMarketScraper.scrape()
-    ]);
-    const combined = [...msm, ...ctm];
-    const byKey = new Map();
-    for (const d of combined) {
-      const key = `${(d.lenderName||'').toLowerCase()}|${(d.productName||'').toLowerCase()}`;
-      if (!byKey.has(key)) byKey.set(key, d);
-    }
-    const enriched = Array.from(byKey.values()).map(d => addMetrics(d, baselineMonthly));
-    return res.json(enriched);
+    console.error('Error getting withdrawn deals:', error.message);
+    res.status(500).json({ error: 'Failed to get withdrawn deals' });
   }
 });
 
-app.post('/api/deals/refresh', async (req, res) => {
+// Every observation of a product (same lender and name, any rate) over time
+app.get('/api/deals/:id/history', async (req, res) => {
   try {
-    await runAllScrapers();
-    res.json({ status: 'ok' });
-  } catch (e) {
-    res.status(500).json({ error: 'refresh_failed' });
+    const history = await getDealHistory(req.params.id);
+    if (!history) return res.status(404).json({ error: 'deal_not_found' });
+    res.json(history);
+  } catch (error) {
+    console.error('Error getting deal history:', error.message);
+    res.status(500).json({ error: 'Failed to get deal history' });
   }
 });
 
-// Sample deals fallback
-function getSampleDeals() {
-  const principal = 85819.31;
-  const years = 15;
-
-  const deals = [
-    { id: 1, lenderName: 'First Direct', productName: '5 Year Fixed - 60% LTV', interestRate: 4.05, dealType: 'Fixed', termYears: 5, maxLTV: 60, arrangementFee: 490, valuationFee: 0, legalFees: 0, cashback: 0, freeValuation: true, freeLegalWork: true, overpaymentAllowance: null, earlyRepaymentCharges: '', lenderType: 'UK Mainstream' },
-    { id: 2, lenderName: 'Santander', productName: '5 Year Fixed - 60% LTV', interestRate: 4.09, dealType: 'Fixed', termYears: 5, maxLTV: 60, arrangementFee: 999, valuationFee: 0, legalFees: 0, cashback: 0, freeValuation: true, freeLegalWork: true, overpaymentAllowance: null, earlyRepaymentCharges: '', lenderType: 'UK Mainstream' },
-    { id: 3, lenderName: 'Coventry BS', productName: '2 Year Fixed - 60% LTV', interestRate: 4.12, dealType: 'Fixed', termYears: 2, maxLTV: 60, arrangementFee: 999, valuationFee: 0, legalFees: 0, cashback: 0, freeValuation: true, freeLegalWork: true, overpaymentAllowance: null, earlyRepaymentCharges: '', lenderType: 'UK Mainstream' },
-    { id: 4, lenderName: 'Monzo', productName: '5 Year Fixed - 60% LTV', interestRate: 4.15, dealType: 'Fixed', termYears: 5, maxLTV: 60, arrangementFee: 0, valuationFee: 0, legalFees: 0, cashback: 0, freeValuation: true, freeLegalWork: true, overpaymentAllowance: null, earlyRepaymentCharges: '', lenderType: 'UK Challenger Bank' },
-    { id: 5, lenderName: 'Halifax', productName: '2 Year Fixed - 60% LTV', interestRate: 4.15, dealType: 'Fixed', termYears: 2, maxLTV: 60, arrangementFee: 1499, valuationFee: 0, legalFees: 0, cashback: 500, freeValuation: true, freeLegalWork: true, overpaymentAllowance: null, earlyRepaymentCharges: '', lenderType: 'UK Mainstream' },
-    { id: 6, lenderName: 'Nationwide', productName: '2 Year Fixed - 60% LTV', interestRate: 4.19, dealType: 'Fixed', termYears: 2, maxLTV: 60, arrangementFee: 999, valuationFee: 0, legalFees: 0, cashback: 0, freeValuation: true, freeLegalWork: true, overpaymentAllowance: '10.00', earlyRepaymentCharges: '2% Year 1, 1% Year 2', lenderType: 'UK Mainstream' },
-    { id: 7, lenderName: 'Lloyds Bank', productName: '2 Year Fixed - 60% LTV', interestRate: 4.22, dealType: 'Fixed', termYears: 2, maxLTV: 60, arrangementFee: 999, valuationFee: 0, legalFees: 0, cashback: 0, freeValuation: true, freeLegalWork: true, overpaymentAllowance: null, earlyRepaymentCharges: '', lenderType: 'UK Mainstream' },
-    { id: 8, lenderName: 'Virgin Money', productName: '5 Year Fixed - 75% LTV', interestRate: 4.25, dealType: 'Fixed', termYears: 5, maxLTV: 75, arrangementFee: 995, valuationFee: 0, legalFees: 0, cashback: 0, freeValuation: true, freeLegalWork: true, overpaymentAllowance: null, earlyRepaymentCharges: '', lenderType: 'UK Mainstream' },
-    { id: 9, lenderName: 'HSBC', productName: '5 Year Fixed - 75% LTV', interestRate: 4.29, dealType: 'Fixed', termYears: 5, maxLTV: 75, arrangementFee: 999, valuationFee: 0, legalFees: 0, cashback: 250, freeValuation: true, freeLegalWork: false, overpaymentAllowance: null, earlyRepaymentCharges: '', lenderType: 'UK Mainstream' },
-    { id: 10, lenderName: 'Atom Bank', productName: '2 Year Fixed - 75% LTV', interestRate: 4.29, dealType: 'Fixed', termYears: 2, maxLTV: 75, arrangementFee: 0, valuationFee: 0, legalFees: 0, cashback: 0, freeValuation: true, freeLegalWork: true, overpaymentAllowance: null, earlyRepaymentCharges: '', lenderType: 'UK Challenger Bank' },
-    { id: 11, lenderName: 'Yorkshire BS', productName: '5 Year Fixed - 75% LTV', interestRate: 4.31, dealType: 'Fixed', termYears: 5, maxLTV: 75, arrangementFee: 0, valuationFee: 0, legalFees: 0, cashback: 0, freeValuation: true, freeLegalWork: true, overpaymentAllowance: null, earlyRepaymentCharges: '', lenderType: 'UK Mainstream' },
-    { id: 12, lenderName: 'Barclays', productName: '2 Year Fixed - 75% LTV', interestRate: 4.35, dealType: 'Fixed', termYears: 2, maxLTV: 75, arrangementFee: 899, valuationFee: 0, legalFees: 0, cashback: 0, freeValuation: true, freeLegalWork: true, overpaymentAllowance: null, earlyRepaymentCharges: '', lenderType: 'UK Mainstream' },
-    { id: 13, lenderName: 'Leeds BS', productName: '2 Year Fixed - 75% LTV', interestRate: 4.35, dealType: 'Fixed', termYears: 2, maxLTV: 75, arrangementFee: 999, valuationFee: 0, legalFees: 0, cashback: 0, freeValuation: true, freeLegalWork: false, overpaymentAllowance: null, earlyRepaymentCharges: '', lenderType: 'UK Mainstream' },
-    { id: 14, lenderName: 'TSB', productName: '2 Year Fixed - 75% LTV', interestRate: 4.39, dealType: 'Fixed', termYears: 2, maxLTV: 75, arrangementFee: 995, valuationFee: 0, legalFees: 0, cashback: 0, freeValuation: true, freeLegalWork: false, overpaymentAllowance: null, earlyRepaymentCharges: '', lenderType: 'UK Mainstream' },
-    { id: 15, lenderName: 'Skipton BS', productName: '2 Year Fixed - 75% LTV', interestRate: 4.45, dealType: 'Fixed', termYears: 2, maxLTV: 75, arrangementFee: 995, valuationFee: 0, legalFees: 0, cashback: 0, freeValuation: true, freeLegalWork: false, overpaymentAllowance: null, earlyRepaymentCharges: '', lenderType: 'UK Mainstream' },
-    { id: 16, lenderName: 'NatWest', productName: '2 Year Fixed - 75% LTV', interestRate: 4.49, dealType: 'Fixed', termYears: 2, maxLTV: 75, arrangementFee: 0, valuationFee: 0, legalFees: 0, cashback: 0, freeValuation: true, freeLegalWork: true, overpaymentAllowance: null, earlyRepaymentCharges: '', lenderType: 'UK Mainstream' },
-    { id: 17, lenderName: 'Metro Bank', productName: '3 Year Fixed - 75% LTV', interestRate: 4.55, dealType: 'Fixed', termYears: 3, maxLTV: 75, arrangementFee: 499, valuationFee: 0, legalFees: 0, cashback: 1000, freeValuation: true, freeLegalWork: true, overpaymentAllowance: null, earlyRepaymentCharges: '', lenderType: 'UK Challenger Bank' },
-    { id: 18, lenderName: 'Nationwide', productName: '10 Year Fixed - 60% LTV', interestRate: 4.59, dealType: 'Fixed', termYears: 10, maxLTV: 60, arrangementFee: 999, valuationFee: 0, legalFees: 0, cashback: 0, freeValuation: true, freeLegalWork: true, overpaymentAllowance: null, earlyRepaymentCharges: '', lenderType: 'UK Mainstream' },
-    { id: 19, lenderName: 'Al Rayan Bank', productName: 'Home Purchase Plan - 75% LTV', interestRate: 4.69, dealType: 'Fixed', termYears: 2, maxLTV: 75, arrangementFee: 999, valuationFee: 0, legalFees: 0, cashback: 0, freeValuation: true, freeLegalWork: false, overpaymentAllowance: null, earlyRepaymentCharges: '', lenderType: 'Islamic Finance' },
-    { id: 20, lenderName: 'HSBC', productName: '2 Year Tracker - 60% LTV', interestRate: 4.79, dealType: 'Tracker', termYears: 2, maxLTV: 60, arrangementFee: 999, valuationFee: 0, legalFees: 0, cashback: 0, freeValuation: true, freeLegalWork: true, overpaymentAllowance: '10.00', earlyRepaymentCharges: '', lenderType: 'UK Mainstream' },
-    { id: 21, lenderName: 'Coutts', productName: 'Private Mortgage - 70% LTV', interestRate: 4.85, dealType: 'Fixed', termYears: 5, maxLTV: 70, arrangementFee: 0, valuationFee: 0, legalFees: 0, cashback: 0, freeValuation: true, freeLegalWork: true, overpaymentAllowance: null, earlyRepaymentCharges: '', lenderType: 'Private Bank' },
-    { id: 22, lenderName: 'HSBC Expat', productName: '2 Year Fixed - 70% LTV', interestRate: 4.99, dealType: 'Fixed', termYears: 2, maxLTV: 70, arrangementFee: 1500, valuationFee: 0, legalFees: 0, cashback: 0, freeValuation: false, freeLegalWork: false, overpaymentAllowance: null, earlyRepaymentCharges: '', lenderType: 'Offshore - Jersey' },
-    { id: 23, lenderName: 'Barclays', productName: 'Lifetime Tracker - 75% LTV', interestRate: 5.09, dealType: 'Tracker', termYears: 25, maxLTV: 75, arrangementFee: 0, valuationFee: 0, legalFees: 0, cashback: 0, freeValuation: true, freeLegalWork: true, overpaymentAllowance: '100.00', earlyRepaymentCharges: 'None', lenderType: 'UK Mainstream' },
-    { id: 24, lenderName: 'Butterfield', productName: '5 Year Fixed - 65% LTV', interestRate: 5.25, dealType: 'Fixed', termYears: 5, maxLTV: 65, arrangementFee: 2000, valuationFee: 0, legalFees: 0, cashback: 0, freeValuation: false, freeLegalWork: false, overpaymentAllowance: null, earlyRepaymentCharges: '', lenderType: 'Offshore - Guernsey' }
-  ];
-
-  // Calculate monthly payments
-  return deals.map(deal => {
-    const monthlyRate = deal.interestRate / 100 / 12;
-    const numPayments = years * 12;
-    const monthlyPayment = principal * (monthlyRate * Math.pow(1 + monthlyRate, numPayments)) / (Math.pow(1 + monthlyRate, numPayments) - 1);
-    return {
-      ...deal,
-      monthlyPayment: Math.round(monthlyPayment * 100) / 100
-    };
-  });
-}
+// Cost of leaving a deal early, in a given month of the loan
+app.get('/api/deals/:id/exit-cost', async (req, res) => {
+  const loan = await resolveLoanOrRespond(req, res);
+  if (!loan) return;
 
-// Search deals with filters
-app.get('/api/deals/search', async (req, res) => {
   try {
-    const {
-      maxRate,
-      minLTV,
-      dealType,
-      lenderType,
-      termYears,
-      freeValuation,
-      freeLegalWork,
-      maxArrangementFee,
-      hasCashback,
-      limit
-    } = req.query;
-
-    let query = 'SELECT id, lender_name as "lenderName", product_name as "productName", interest_rate as "interestRate", deal_type as "dealType", term_years as "termYears", max_ltv as "maxLTV", arrangement_fee as "arrangementFee", valuation_fee as "valuationFee", legal_fees as "legalFees", cashback, free_valuation as "freeValuation", free_legal_work as "freeLegalWork", overpayment_allowance as "overpaymentAllowance", early_repayment_charges as "earlyRepaymentCharges", lender_type as "lenderType", source, scraped_at as "scrapedAt" FROM deals WHERE 1=1';
-    const params = [];
-    let paramCount = 0;
-
-    if (maxRate) {
-      paramCount++;
-      query += ` AND interest_rate <= $${paramCount}`;
-      params.push(maxRate);
-    }
-
-    if (minLTV) {
-      paramCount++;
-      query += ` AND max_ltv >= $${paramCount}`;
-      params.push(minLTV);
-    }
+    const deal = await getDealById(req.params.id);
+    if (!deal) return res.status(404).json({ error: 'deal_not_found' });
 
-    if (dealType) {
-      paramCount++;
-      query += ` AND deal_type = $${paramCount}`;
-      params.push(dealType);
-    }
-
-    if (lenderType) {
-      paramCount++;
-      query += ` AND lender_type = $${paramCount}`;
-      params.push(lenderType);
-    }
+    const months = [].concat(req.query.month || []).map(m => parseInt(m, 10)).filter(m => m > 0);
+    const exitMonths = months.length > 0
+      ? months
+      : Array.from({ length: (deal.termYears || 0) }, (_, i) => i * 12 + 1);
 
-    if (termYears) {
-      paramCount++;
-      query += ` AND term_years = $${paramCount}`;
-      params.push(termYears);
-    }
-
-    if (freeValuation === 'true') {
-      query += ' AND free_valuation = true';
-    }
-
-    if (freeLegalWork === 'true') {
-      query += ' AND free_legal_work = true';
-    }
-
-    if (maxArrangementFee) {
-      paramCount++;
-      query += ` AND arrangement_fee <= $${paramCount}`;
-      params.push(maxArrangementFee);
-    }
-
-    if (hasCashback === 'true') {
-      query += ' AND cashback > 0';
-    }
+    res.json({
+      dealId: deal.id,
+      lenderName: deal.lenderName,
+      productName: deal.productName,
+      earlyRepaymentCharges: deal.earlyRepaymentCharges,
+      ercTiers: deal.ercTiers || parseEarlyRepaymentCharges(deal.earlyRepaymentCharges),
+      exitCosts: exitMonths.map(month => exitCost(deal, loan, month))
+    });
+  } catch (error) {
+    console.error('Error calculating exit cost:', error.message);
+    res.status(500).json({ error: 'Failed to calculate exit cost' });
+  }
+});
 
-    const lim = parseInt(limit || '50', 10);
-    query += ` ORDER BY interest_rate ASC LIMIT ${isNaN(lim) ? 50 : lim}`;
-
-    const { rows } = await pool.query(query, params);
-    const baselineMonthly = req.query.baselineMonthly ? parseFloat(req.query.baselineMonthly) : undefined;
-    const normalized = rows.map(deal => addMetrics(deal, baselineMonthly));
-
-    if (normalized.length === 0) {
-      const [msm, ctm] = await Promise.all([
-        moneySuperMarketScraper.scrape(),
-        compareTheMarketScraper.scrape()
-      ]);
-      const scraped = [...msm, ...ctm];
-      const filtered = scraped.filter(d => {
-        if (maxRate && !(d.interestRate <= parseFloat(maxRate))) return false;
-        if (minLTV && !(d.maxLTV >= parseFloat(minLTV))) return false;
-        if (dealType && d.dealType !== dealType) return false;
-        if (lenderType && d.lenderType !== lenderType) return false;
-        if (termYears && !(d.termYears === parseInt(termYears))) return false;
-        if (freeValuation === 'true' && !d.freeValuation) return false;
-        if (freeLegalWork === 'true' && !d.freeLegalWork) return false;
-        if (maxArrangementFee && !(d.arrangementFee <= parseFloat(maxArrangementFee))) return false;
-        if (hasCashback === 'true' && !(d.cashback && d.cashback > 0)) return false;
-        return true;
-      }).slice(0, isNaN(lim) ? 50 : lim);
-      const enriched = filtered.map(deal => addMetrics(deal, baselineMonthly));
-      return res.json(enriched);
-    }
+// Rank deals for a borrower who plans to overpay, respecting each deal's allowance
+app.post('/api/deals/overpayments', async (req, res) => {
+  const body = req.body || {};
+  const loan = await resolveLoanOrRespond(req, res, body);
+  if (!loan) return;
 
-    res.json(normalized);
+  try {
+    const ids = Array.isArray(body.dealIds) ? body.dealIds.map(id => parseInt(id, 10)).filter(id => id > 0) : undefined;
+    const deals = await listDeals({ ids });
+    const lenders = await listLenders().catch(() => []);
+
+    const ranked = personalise(deals, loan, lenders)
+      .map(deal => {
+        // A fee added to the loan is simulated as borrowing; it is still repaid, so it stays in the cost.
+        // Deals revert to the same SVR as in their true cost.
+        const simulation = simulateOverpayments(
+          deal,
+          { ...loan, principal: loan.principal + deal.addedToLoan },
+          body,
+          deal.trueCostBreakdown.svrRate
+        );
+        const fees = deal.upfrontFees + deal.addedToLoan;
+        return {
+          ...deal,
+          overpayments: simulation,
+          totalCostWithOverpayments: round2(simulation.totalInterest + fees + simulation.ercCharged)
+        };
+      })
+      .sort((a, b) => a.totalCostWithOverpayments - b.totalCostWithOverpayments);
+
+    res.json(ranked);
   } catch (error) {
-    try {
-      const { maxRate, minLTV, dealType, lenderType, termYears, freeValuation, freeLegalWork, maxArrangementFee, hasCashback, limit } = req.query;
-      const lim = parseInt(limit || '50', 10);
-      const baselineMonthly = req.query.baselineMonthly ? parseFloat(req.query.baselineMonthly) : undefined;
-      const [msm, ctm] = await Promise.all([
-        moneySuperMarketScraper.scrape(),
-        compareTheMarketScraper.scrape()
-      ]);
-      const scraped = [...msm, ...ctm];
-      const filtered = scraped.filter(d => {
-        if (maxRate && !(d.interestRate <= parseFloat(maxRate))) return false;
-        if (minLTV && !(d.maxLTV >= parseFloat(minLTV))) return false;
-        if (dealType && d.dealType !== dealType) return false;
-        if (lenderType && d.lenderType !== lenderType) return false;
-        if (termYears && !(d.termYears === parseInt(termYears))) return false;
-        if (freeValuation === 'true' && !d.freeValuation) return false;
-        if (freeLegalWork === 'true' && !d.freeLegalWork) return false;
-        if (maxArrangementFee && !(d.arrangementFee <= parseFloat(maxArrangementFee))) return false;
-        if (hasCashback === 'true' && !(d.cashback && d.cashback > 0)) return false;
-        return true;
-      }).slice(0, isNaN(lim) ? 50 : lim);
-      const enriched = filtered.map(deal => addMetrics(deal, baselineMonthly));
-      return res.json(enriched);
-    } catch (e) {
-      return res.status(500).json({ error: 'Failed to search deals' });
-    }
+    console.error('Error simulating overpayments:', error.message);
+    res.status(500).json({ error: 'Failed to simulate overpayments' });
   }
 });
 
-// Trigger manual scrape
-app.post('/api/deals/scrape', async (req, res) => {
+/**
+ * Trackers next to fixed deals under base-rate paths: the named SCENARIOS
+ * (flat, up1, down1) and optionally `customPath`, a list of monthly base
+ * rates. Prices `dealIds`, or the cheapest `limit` trackers and fixes.
+ */
+app.post('/api/deals/rate-scenarios', async (req, res) => {
+  const body = req.body || {};
+  const loan = await resolveLoanOrRespond(req, res, body);
+  if (!loan) return;
+
+  const allowed = Object.keys(rateScenarios.SCENARIOS);
+  const names = body.scenarios === undefined ? allowed : [].concat(body.scenarios);
+  if (names.some(name => !allowed.includes(name))) {
+    return res.status(400).json({ error: 'invalid_scenario', allowed });
+  }
+  const customPath = body.customPath === undefined ? null : [].concat(body.customPath).map(parseFloat);
+  if (customPath && (customPath.length === 0 || customPath.some(rate => !(rate >= 0)))) {
+    return res.status(400).json({ error: 'invalid_base_rate_path' });
+  }
+
   try {
-    const results = await runAllScrapers();
+    const ids = Array.isArray(body.dealIds) ? body.dealIds.map(id => parseInt(id, 10)).filter(id => id > 0) : [];
+    const perType = Math.min(parseInt(body.limit, 10) || 5, 20);
+    const deals = ids.length > 0
+      ? await listDeals({ ids })
+      : [
+        ...await findDeals({ dealType: 'Tracker' }, { limit: perType }),
+        ...await findDeals({ dealType: 'Fixed' }, { limit: perType })
+      ];
+    const lenders = await listLenders().catch(() => []);
+    const priced = personalise(deals, loan, lenders);
+
+    const months = horizonMonths(loan);
+    const paths = names.map(name => ({ name, path: rateScenarios.basePath(name, months) }));
+    if (customPath) paths.push({ name: 'custom', path: rateScenarios.basePath(customPath, months) });
+
     res.json({
-      status: 'completed',
-      results,
-      timestamp: new Date().toISOString()
+      baseRate: rateScenarios.BASE_RATE,
+      horizonYears: round2(months / 12),
+      scenarios: paths.map(({ name, path }) => ({
+        name,
+        baseRateStart: path[0],
+        baseRateEnd: path[path.length - 1],
+        deals: priced
+          .map(deal => {
+            const lender = findLender(deal, lenders);
+            return {
+              id: deal.id,
+              lenderName: deal.lenderName,
+              productName: deal.productName,
+              dealType: deal.dealType,
+              termYears: deal.termYears,
+              interestRate: deal.interestRate,
+              trackerMargin: deal.trackerMargin === undefined ? null : deal.trackerMargin,
+              rateCollar: deal.rateCollar === undefined ? null : deal.rateCollar,
+              feeTreatment: deal.feeTreatment,
+              // A fee added to the loan is borrowed, as in the listing prices; it still counts in the fees
+              ...rateScenarios.projectScenario(
+                deal,
+                { ...loan, principal: loan.principal + deal.addedToLoan },
+                path,
+                lender ? lender.svrRate : null
+              )
+            };
+          })
+          .sort((a, b) => a.totalCost - b.totalCost)
+      }))
     });
   } catch (error) {
-    console.error('Error running scrape:', error);
-    res.status(500).json({ error: 'Scrape failed' });
+    console.error('Error projecting rate scenarios:', error.message);
+    res.status(500).json({ error: 'Failed to project rate scenarios' });
   }
 });
 
+// Trigger manual scrape
+app.post('/api/deals/scrape', requireAdminKey, queueScrape);
+
 // Get stats
 app.get('/api/stats', async (req, res) => {
   try {
-    const totalDeals = await pool.query('SELECT COUNT(*) FROM deals');
-    const avgRate = await pool.query('SELECT AVG(interest_rate) FROM deals');
-    const lowestRate = await pool.query('SELECT MIN(interest_rate) FROM deals');
+    const totalDeals = await pool.query('SELECT COUNT(*) FROM deals WHERE withdrawn_at IS NULL');
+    const withdrawnDeals = await pool.query('SELECT COUNT(*) FROM deals WHERE withdrawn_at IS NOT NULL');
+    const avgRate = await pool.query('SELECT AVG(interest_rate) FROM deals WHERE withdrawn_at IS NULL');
+    const lowestRate = await pool.query('SELECT MIN(interest_rate) FROM deals WHERE withdrawn_at IS NULL');
     const lastScrape = await pool.query('SELECT MAX(scraped_at) FROM scrape_logs WHERE status = $1', ['success']);
-    const bySource = await pool.query('SELECT source, COUNT(*) as count FROM deals GROUP BY source');
+    const bySource = await pool.query('SELECT source, COUNT(*) as count FROM deals WHERE withdrawn_at IS NULL GROUP BY source');
+    const quarantined = await pool.query("SELECT COUNT(*) FROM quarantined_deals WHERE status = 'pending'");
 
     res.json({
       totalDeals: parseInt(totalDeals.rows[0].count),
+      withdrawnDeals: parseInt(withdrawnDeals.rows[0].count),
+      quarantinedDeals: parseInt(quarantined.rows[0].count),
       averageRate: parseFloat(avgRate.rows[0].avg).toFixed(2),
       lowestRate: parseFloat(lowestRate.rows[0].min).toFixed(2),
       lastScrape: lastScrape.rows[0].max,
@@ -583,22 +654,42 @@ app.use((err, req, res, next) => {
 
 // Start server
 async function start() {
+  dealCache.load();
   await initDatabase();
+  dealCache.loadFromDatabase().catch(error => {
+    console.error('Error building deal snapshot:', error.message);
+  });
 
   app.listen(PORT, () => {
     console.log(`API running on port ${PORT}`);
     console.log('Endpoints available:');
     console.log('  GET  /health');
+    console.log('  GET  /api/deals');
     console.log('  GET  /api/deals/latest');
     console.log('  GET  /api/deals/search');
+    console.log('  GET  /api/deals/withdrawn');
+    console.log('  GET  /api/deals/:id/history');
+    console.log('  GET  /api/deals/:id/schedule');
+    console.log('  GET  /api/deals/:id/exit-cost');
+    console.log('  POST /api/deals/overpayments');
+    console.log('  POST /api/deals/rate-scenarios');
     console.log('  POST /api/deals/scrape');
+    console.log('  GET  /api/scrape-jobs/:id');
+    console.log('  GET  /api/scrapers/health');
     console.log('  GET  /api/stats');
+    console.log('  GET  /api/market/trends');
+    console.log('  *    /api/profiles');
+    console.log('  GET  /api/profiles/:id/decision');
+    console.log('  GET  /api/profiles/:id/retention-deals');
+    console.log('  POST /api/profiles/:id/retention-deals/import');
+    console.log('  *    /api/lenders');
+    console.log('  *    /api/admin/quarantine');
   });
 
   // Run initial scrape on startup (delayed to allow server to start)
-  setTimeout(async () => {
+  setTimeout(() => {
     console.log('Running initial scrape...');
-    await runAllScrapers();
+    startScrapeJob({ trigger: 'startup' });
   }, 5000);
 }
 
@@ -1,63 +1,55 @@
 const OpenAI = require('openai');
-const { getLatestDeals, getUserProfile } = require('../database');
+const { decideForProfile } = require('./remortgageAdvisor');
 
 const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY
 });
 
 /**
- * Uses GPT-4 to analyze mortgage deals and provide personalized recommendations
+ * Explains the remortgage decision engine's output for the given borrower
+ * profile (defaults to the first profile) in plain English. The ranking and
+ * every figure come from decideForProfile(); GPT-4 only summarises them.
  */
-async function analyzeNewDeals() {
+async function analyzeNewDeals(profileId) {
   try {
-    const userProfile = await getUserProfile();
-    const deals = await getLatestDeals(20); // Get top 20 recent deals
+    const decision = await decideForProfile(profileId);
+    if (!decision) {
+      console.log('No borrower profile to analyze for');
+      return null;
+    }
 
-    if (deals.length === 0) {
+    if (decision.options.every(option => option.kind === 'stay_on_svr')) {
       console.log('No deals to analyze');
       return null;
     }
 
     const prompt = `
-You are an expert mortgage advisor. Analyze these mortgage deals for a client with the following profile:
-
-Current Situation:
-- Outstanding Balance: £${userProfile.outstandingBalance}
-- Current Monthly Payment: £${userProfile.currentMonthlyPayment}
-- Current Deal Ends: ${userProfile.dealEndDate}
-- Days Until Expiry: ${userProfile.daysUntilExpiry}
-- Property Value: £${userProfile.propertyValue}
-- LTV: ${userProfile.ltv}%
-- Preferred Fixed Period: ${userProfile.preferredFixedPeriod} years
-- Can Afford Fees: £${userProfile.maxUpfrontFees}
-
-Available Deals:
-${JSON.stringify(deals, null, 2)}
-
-Please provide:
-1. Top 3 recommended deals with clear reasoning
-2. Comparison of total costs over 2, 5 years
-3. Break-even analysis for each recommended deal
-4. Any red flags or important considerations
-5. Best overall deal recommendation
+You are an expert mortgage advisor. Our rules-based decision engine has compared
+staying on SVR, a product transfer with the current lender and remortgaging to
+each market deal for a client. Its output is below: options are ranked, and each
+carries its costs, savings against the SVR and the reasons for its place.
+
+Decision engine output:
+${JSON.stringify(decision, null, 2)}
+
+Summarise this for the client. Keep the engine's ranking and use only figures
+that appear in the output; do not calculate, estimate or introduce any others.
+Mention the assumptions it made, if any.
 
 Format as JSON with this structure:
 {
+  "summary": "...",
   "recommendations": [
     {
       "rank": 1,
       "dealId": "...",
       "lender": "...",
-      "reasoning": "...",
-      "breakEvenMonths": 12,
-      "totalSavings2Years": 2500,
-      "totalSavings5Years": 7200,
+      "explanation": "...",
       "pros": ["...", "..."],
       "cons": ["...", "..."]
     }
   ],
   "overallRecommendation": "...",
-  "urgencyLevel": "high|medium|low",
   "actionItems": ["...", "..."]
 }
 `;
@@ -67,7 +59,7 @@ Format as JSON with this structure:
       messages: [
         {
           role: "system",
-          content: "You are an expert UK mortgage advisor with deep knowledge of mortgage products, fees, and market trends."
+          content: "You are an expert UK mortgage advisor. You explain calculated results clearly and never change the numbers."
         },
         {
           role: "user",
@@ -78,10 +70,12 @@ Format as JSON with this structure:
       temperature: 0.3
     });
 
-    const analysis = JSON.parse(completion.choices[0].message.content);
-
-    // Save analysis to database
-    await saveAnalysis(analysis);
+    const analysis = {
+      ...JSON.parse(completion.choices[0].message.content),
+      // Decided by the engine, not the model
+      urgencyLevel: decision.urgency,
+      decision
+    };
 
     console.log('AI Analysis completed:', analysis.overallRecommendation);
     return analysis;
@@ -125,11 +119,6 @@ Return as JSON.
   return JSON.parse(completion.choices[0].message.content);
 }
 
-async function saveAnalysis(analysis) {
-  // TODO: Implement database save
-  console.log('Saving analysis to database...');
-}
-
 module.exports = {
   analyzeNewDeals,
   analyzeSingleDeal
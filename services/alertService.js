@@ -16,14 +16,20 @@ const transporter = nodemailer.createTransport({
 });
 
 /**
- * Checks conditions and sends alerts to user
+ * Checks conditions and sends alerts to the borrower behind a profile
  */
-async function checkAndSendAlerts() {
-  const { getUserProfile, getLatestAnalysis, getTopDeals } = require('../database');
+async function checkAndSendAlerts(profileId) {
+  const { getUserProfile, getTopDeals } = require('../database');
+  const { decideForProfile } = require('./remortgageAdvisor');
 
   try {
-    const user = await getUserProfile();
-    const analysis = await getLatestAnalysis();
+    const user = await getUserProfile(profileId);
+    if (!user) {
+      console.log('No borrower profile to alert');
+      return [];
+    }
+
+    const decision = await decideForProfile(user.id);
     const topDeals = await getTopDeals(3);
 
     // Alert conditions
@@ -39,17 +45,17 @@ async function checkAndSendAlerts() {
       });
     }
 
-    // 2. Great deal found
-    if (analysis && analysis.recommendations.length > 0) {
-      const bestDeal = analysis.recommendations[0];
+    // 2. Great deal found: the decision engine's best option beats today's payment
+    const bestDeal = decision && decision.options.find(option => option.kind !== 'stay_on_svr');
+    if (bestDeal && bestDeal.monthlyPayment !== null && user.currentMonthlyPayment !== null) {
       const monthlySaving = user.currentMonthlyPayment - bestDeal.monthlyPayment;
 
       if (monthlySaving > 50) { // Saving more than £50/month
         alerts.push({
           type: 'GREAT_DEAL_FOUND',
           urgency: 'medium',
-          message: `💰 Found excellent deal: ${bestDeal.lender} - Save £${monthlySaving.toFixed(0)}/month (£${(monthlySaving * 12).toFixed(0)}/year)`,
-          action: `Apply now: ${bestDeal.applyUrl || 'Check your app'}`
+          message: `💰 Found excellent deal: ${bestDeal.lenderName} - Save £${monthlySaving.toFixed(0)}/month (£${(monthlySaving * 12).toFixed(0)}/year)`,
+          action: 'Apply now: Check your app'
         });
       }
     }
@@ -69,12 +75,17 @@ async function checkAndSendAlerts() {
       }
     }
 
-    // 4. SVR warning
-    if (user.daysUntilExpiry <= 0) {
+    // 4. SVR warning; profiles without a deal end date have no expiry to compare
+    if (user.daysUntilExpiry !== null && user.daysUntilExpiry <= 0) {
+      const extra = user.svrMonthlyPayment !== null && user.currentMonthlyPayment !== null
+        ? user.svrMonthlyPayment - user.currentMonthlyPayment
+        : null;
       alerts.push({
         type: 'ON_SVR',
         urgency: 'critical',
-        message: `🚨 You're on SVR! Paying £${(user.svrMonthlyPayment - user.currentMonthlyPayment).toFixed(0)} EXTRA per month`,
+        message: extra === null
+          ? "🚨 You're on SVR!"
+          : `🚨 You're on SVR! Paying £${extra.toFixed(0)} EXTRA per month`,
         action: 'Switch IMMEDIATELY to save money'
       });
     }
@@ -0,0 +1,60 @@
+const { projectPayments } = require('./mortgageMath');
+
+/**
+ * Annual percentage rate of charge over the full mortgage term, as lenders
+ * quote it: the annual rate X at which the credit advanced equals the
+ * repayments discounted by (1 + X) ^ (month / 12). Fees paid upfront reduce
+ * the credit advanced; with `feesAddedToLoan` the arrangement fee is borrowed
+ * instead (valuation and legal fees are always paid upfront). An
+ * `interestOnly` part of the amount borrowed is repaid with the last payment.
+ * Returns a percentage to one decimal place, or null when there is nothing to
+ * price.
+ */
+function aprc({
+  principal,
+  months,
+  initialRate,
+  initialMonths,
+  reversionRate,
+  arrangementFee = 0,
+  valuationFee = 0,
+  legalFees = 0,
+  feesAddedToLoan = false,
+  interestOnly = 0
+}) {
+  months = Math.round(months);
+  if (!(principal > 0) || !(months > 0)) return null;
+
+  const addedFee = feesAddedToLoan ? arrangementFee : 0;
+  const upfrontFees = valuationFee + legalFees + (feesAddedToLoan ? 0 : arrangementFee);
+  const advanced = principal - upfrontFees;
+  if (!(advanced > 0)) return null;
+
+  const initial = parseFloat(initialRate) || 0;
+  const reversion = reversionRate === null || reversionRate === undefined ? initial : parseFloat(reversionRate);
+  const onProduct = Math.min(initialMonths || months, months);
+  const rates = Array.from({ length: months }, (_, i) => (i < onProduct ? initial : reversion));
+  const { payments, balance } = projectPayments(principal + addedFee, months, rates, interestOnly);
+  payments[payments.length - 1] += balance;
+  const presentValue = rate => {
+    const monthlyDiscount = Math.pow(1 + rate, -1 / 12);
+    let discount = 1;
+    return payments.reduce((sum, payment) => sum + payment * (discount *= monthlyDiscount), 0);
+  };
+
+  // Present value falls as the rate rises, so bisect for the rate matching the advance
+  let low = 0;
+  let high = 1;
+  if (presentValue(low) < advanced) return 0;
+  for (let i = 0; i < 40; i++) {
+    const mid = (low + high) / 2;
+    if (presentValue(mid) > advanced) low = mid;
+    else high = mid;
+  }
+
+  return Math.round(((low + high) / 2) * 1000) / 10;
+}
+
+module.exports = {
+  aprc
+};
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+const { mergeDeals } = require('./dealMerger');
+
+const SNAPSHOT_FILE = process.env.DEAL_SNAPSHOT_FILE || path.join(__dirname, '..', 'data', 'deal-snapshot.json');
+
+// Older than this, serving the snapshot also starts a background reload from the database
+const MAX_AGE_MS = parseInt(process.env.DEAL_SNAPSHOT_MAX_AGE_MINUTES || '30', 10) * 60 * 1000;
+
+// A smaller set is treated as a failed read rather than a good snapshot
+const MIN_DEALS = 5;
+const SNAPSHOT_LIMIT = 500;
+
+let snapshot = null;
+let refreshing = null;
+
+/**
+ * Reads the snapshot saved by an earlier run, so deals can be served after a
+ * restart even when the database is unreachable
+ */
+function load() {
+  try {
+    const saved = JSON.parse(fs.readFileSync(SNAPSHOT_FILE, 'utf8'));
+    if (Array.isArray(saved.deals) && saved.updatedAt) {
+      snapshot = saved;
+      console.log(`Loaded deal snapshot of ${saved.deals.length} deals from ${saved.updatedAt}`);
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('Error loading deal snapshot:', error.message);
+    }
+  }
+  return snapshot;
+}
+
+async function persist() {
+  try {
+    await fs.promises.mkdir(path.dirname(SNAPSHOT_FILE), { recursive: true });
+    const tmp = `${SNAPSHOT_FILE}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(snapshot));
+    await fs.promises.rename(tmp, SNAPSHOT_FILE);
+  } catch (error) {
+    console.error('Error saving deal snapshot:', error.message);
+  }
+}
+
+// Replaces the snapshot when the set looks complete; returns whether it did
+async function update(deals, origin) {
+  if (!deals || deals.length < MIN_DEALS) return false;
+
+  snapshot = { deals, origin, updatedAt: new Date().toISOString() };
+  await persist();
+  return true;
+}
+
+function get() {
+  return snapshot;
+}
+
+function ageSeconds() {
+  return snapshot ? Math.max(Math.round((Date.now() - Date.parse(snapshot.updatedAt)) / 1000), 0) : null;
+}
+
+async function loadFromDatabase() {
+  const { listDeals } = require('../database');
+  return update(await listDeals({ limit: SNAPSHOT_LIMIT }), 'database');
+}
+
+/**
+ * Called when a scrape job finishes with the deals that passed screening.
+ * Prefers the saved deals in the database; if it is down or nearly empty,
+ * keeps what the scrape accepted.
+ */
+async function recordScrape(scraped) {
+  try {
+    if (await loadFromDatabase()) return;
+  } catch (error) {
+    console.error('Error reading deals for snapshot:', error.message);
+  }
+  await update(mergeDeals(scraped), 'scrape');
+}
+
+/**
+ * Reloads the snapshot from the database in the background. Only one refresh
+ * runs at a time; callers during a refresh share it. It never scrapes: new
+ * deals only arrive through scrape jobs, which call recordScrape().
+ */
+function refresh() {
+  if (refreshing) return refreshing;
+
+  refreshing = loadFromDatabase().catch(error => {
+    console.error('Error refreshing deal snapshot:', error.message);
+  }).finally(() => {
+    refreshing = null;
+  });
+
+  return refreshing;
+}
+
+function refreshIfStale() {
+  if (!snapshot || Date.now() - Date.parse(snapshot.updatedAt) > MAX_AGE_MS) {
+    refresh();
+  }
+}
+
+module.exports = {
+  load,
+  get,
+  ageSeconds,
+  update,
+  loadFromDatabase,
+  recordScrape,
+  refresh,
+  refreshIfStale
+};
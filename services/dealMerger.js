@@ -0,0 +1,123 @@
+const { lenderKey } = require('./lenderDirectory');
+
+// Most trusted first: the lender's own site, then the comparison sites
+const SOURCE_PRIORITY = ['DirectLenders', 'MoneySuperMarket', 'CompareTheMarket'];
+
+// Copies of one product further apart than this are treated as different products
+const RATE_TOLERANCE = 0.25;
+
+const COMPARED_FIELDS = ['interestRate', 'arrangementFee'];
+
+function numberOrNull(value) {
+  const n = parseFloat(value);
+  return isNaN(n) ? null : n;
+}
+
+// Lender, type, term and LTV tier identify a product whatever each site calls it
+function productKey(deal) {
+  const lender = deal.lenderId ? `#${deal.lenderId}` : lenderKey(deal.lenderName);
+  return [lender, (deal.dealType || '').toLowerCase(), numberOrNull(deal.termYears), numberOrNull(deal.maxLTV)].join('|');
+}
+
+// A stored row may have been listed by several sources with identical details
+function sourcesOf(deal) {
+  return deal.seenSources && deal.seenSources.length > 0 ? deal.seenSources : [deal.source || null];
+}
+
+function sourceRank(deal) {
+  const rank = SOURCE_PRIORITY.indexOf(deal.source);
+  return rank === -1 ? SOURCE_PRIORITY.length : rank;
+}
+
+function byTrust(a, b) {
+  return sourceRank(a) - sourceRank(b)
+    || (numberOrNull(b.parseConfidence) || 0) - (numberOrNull(a.parseConfidence) || 0);
+}
+
+/**
+ * Splits copies of one product key into separate products. A site never lists
+ * the same product twice, so a second copy from the same source (typically a
+ * fee and a fee-free variant) starts a new product; otherwise each copy joins
+ * the product with the closest rate within RATE_TOLERANCE.
+ */
+function cluster(deals) {
+  const clusters = [];
+
+  for (const deal of [...deals].sort(byTrust)) {
+    const rate = numberOrNull(deal.interestRate);
+    let best = null;
+    let bestDistance = Infinity;
+
+    for (const candidate of clusters) {
+      if (candidate.some(d => sourcesOf(d).some(source => sourcesOf(deal).includes(source)))) continue;
+      const distance = Math.abs(numberOrNull(candidate[0].interestRate) - rate);
+      if (distance <= RATE_TOLERANCE && distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    }
+
+    if (best) best.push(deal);
+    else clusters.push([deal]);
+  }
+
+  return clusters;
+}
+
+// The values each source reported for a field, when they do not all agree
+function disagreement(copies, field) {
+  const values = [...new Set(copies.map(d => numberOrNull(d[field])).filter(v => v !== null))];
+  return values.length > 1 ? values.sort((a, b) => a - b) : null;
+}
+
+/**
+ * Collapses copies of the same product seen on several sources into one
+ * deal. The most trusted copy supplies the deal's fields; `sources` lists
+ * every copy and `disagreements` holds the rates or fees they differ on.
+ * Deals keep the order of their most trusted copy's first appearance.
+ */
+function mergeDeals(deals) {
+  const groups = new Map();
+  deals.forEach((deal, index) => {
+    const key = productKey(deal);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({ ...deal, _index: index });
+  });
+
+  const merged = [];
+  for (const group of groups.values()) {
+    for (const copies of cluster(group)) {
+      const { _index, ...primary } = copies[0];
+      const disagreements = {};
+      for (const field of COMPARED_FIELDS) {
+        const values = disagreement(copies, field);
+        if (values) disagreements[field] = values;
+      }
+
+      merged.push({
+        index: Math.min(...copies.map(d => d._index)),
+        deal: {
+          ...primary,
+          sources: copies.flatMap(d => sourcesOf(d).map(source => ({
+            source,
+            dealId: d.id === undefined ? null : d.id,
+            productName: d.productName,
+            interestRate: numberOrNull(d.interestRate),
+            arrangementFee: numberOrNull(d.arrangementFee),
+            lastSeenAt: d.lastSeenAt || d.scrapedAt || null
+          }))),
+          disagreements
+        }
+      });
+    }
+  }
+
+  return merged.sort((a, b) => a.index - b.index).map(entry => entry.deal);
+}
+
+module.exports = {
+  SOURCE_PRIORITY,
+  RATE_TOLERANCE,
+  productKey,
+  mergeDeals
+};
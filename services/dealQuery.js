@@ -0,0 +1,248 @@
+/**
+ * The one query language behind GET /api/deals and its aliases: filters,
+ * sorting on any priced metric, cursor pagination and field selection.
+ * Filters are defined once here and run both as SQL (database.findDeals)
+ * and in memory (snapshot deals), so both answer the same question.
+ */
+
+/**
+ * `field` is the deal property, `column` the deals column. Filters with a
+ * `value` are switches: only `=true` turns them on. Filters without a column
+ * test a priced metric, so they run after pricing (matchesMetrics).
+ */
+const FILTERS = {
+  maxRate: { field: 'interestRate', column: 'interest_rate', op: '<=', type: 'number' },
+  minLTV: { field: 'maxLTV', column: 'max_ltv', op: '>=', type: 'number' },
+  dealType: { field: 'dealType', column: 'deal_type', op: '=', type: 'string' },
+  lenderType: { field: 'lenderType', column: 'lender_type', op: '=', type: 'string' },
+  termYears: { field: 'termYears', column: 'term_years', op: '=', type: 'integer' },
+  maxArrangementFee: { field: 'arrangementFee', column: 'arrangement_fee', op: '<=', type: 'number' },
+  freeValuation: { field: 'freeValuation', column: 'free_valuation', op: '=', value: true },
+  freeLegalWork: { field: 'freeLegalWork', column: 'free_legal_work', op: '=', value: true },
+  hasCashback: { field: 'cashback', column: 'cashback', op: '>', value: 0 },
+  // Scraped deals whose type, term and LTV were mostly defaulted rather than read
+  minConfidence: { field: 'parseConfidence', column: 'parse_confidence', op: '>=', type: 'number', allowNull: true },
+  maxAprc: { field: 'aprc', op: '<=', type: 'number' }
+};
+
+// Deal properties and priced metrics results can be ordered by
+const SORT_FIELDS = [
+  'trueCost',
+  'aprc',
+  'interestRate',
+  'monthlyPayment',
+  'totalInterest',
+  'totalCost2Years',
+  'totalCost5Years',
+  'totalFees',
+  'arrangementFee',
+  'breakEvenMonths',
+  'monthlySavings',
+  'maxLTV'
+];
+
+// Everything a priced deal can carry, for `fields=`
+const DEAL_FIELDS = [
+  'id', 'lenderName', 'productName', 'interestRate', 'dealType', 'termYears', 'maxLTV',
+  'arrangementFee', 'valuationFee', 'legalFees', 'cashback', 'freeValuation', 'freeLegalWork',
+  'overpaymentAllowance', 'earlyRepaymentCharges', 'ercTiers', 'lenderType', 'lenderId',
+  'parseConfidence', 'trackerMargin', 'rateCollar', 'source', 'seenSources', 'scrapedAt',
+  'firstSeenAt', 'lastSeenAt', 'withdrawnAt', 'sources', 'disagreements', 'monthlyPayment',
+  'totalFees', 'totalCost2Years', 'totalCost5Years', 'trueCost', 'trueCostBreakdown', 'aprc',
+  'monthlySavings', 'breakEvenMonths', 'exitCost', 'productTransfer', 'dealSource', 'retentionDealId',
+  'expiresAt', 'estimatedCosts', 'totalInterest', 'upfrontFees', 'addedToLoan', 'discountedCost',
+  'feeTreatment', 'feeTreatments', 'interestOnlyUnverified'
+];
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+function queryError(code, details = {}) {
+  return Object.assign(new Error(code), { status: 400, details });
+}
+
+function parseFilterValue(param, filter, raw) {
+  if (filter.value !== undefined) {
+    if (raw === 'true') return filter.value;
+    if (raw === 'false') return undefined;
+    throw queryError('invalid_filter', { param });
+  }
+  if (filter.type === 'string') return raw;
+
+  const value = filter.type === 'integer' ? Number(raw) : parseFloat(raw);
+  if (isNaN(value) || (filter.type === 'integer' && !Number.isInteger(value))) {
+    throw queryError('invalid_filter', { param });
+  }
+  return value;
+}
+
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+function decodeCursor(raw, sort, order) {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(raw, 'base64url').toString('utf8'));
+  } catch (_) {
+    throw queryError('invalid_cursor');
+  }
+  // A cursor only makes sense for the ordering it was issued under
+  if (!position || position.sort !== sort || position.order !== order || !('key' in position)) {
+    throw queryError('invalid_cursor');
+  }
+  return position;
+}
+
+/**
+ * Parses and validates the query string. Throws an error with `status` 400
+ * and `details` naming the bad parameter. `defaults.limit` is the page size
+ * when none is asked for.
+ */
+function parseDealQuery(query, defaults = {}) {
+  const filters = {};
+  for (const [param, filter] of Object.entries(FILTERS)) {
+    const raw = query[param];
+    if (raw === undefined || raw === '') continue;
+    const value = parseFilterValue(param, filter, String(raw));
+    if (value !== undefined) filters[param] = value;
+  }
+
+  // Ranked by cost over the horizon, SVR reversion included, unless asked otherwise
+  const sort = query.sort || 'trueCost';
+  if (!SORT_FIELDS.includes(sort)) {
+    throw queryError('invalid_sort', { allowed: SORT_FIELDS });
+  }
+  const order = query.order || 'asc';
+  if (!['asc', 'desc'].includes(order)) {
+    throw queryError('invalid_sort', { allowed: ['asc', 'desc'] });
+  }
+
+  const requested = query.limit === undefined || query.limit === ''
+    ? defaults.limit || DEFAULT_LIMIT
+    : Number(query.limit);
+  if (!Number.isInteger(requested) || requested < 1) {
+    throw queryError('invalid_limit', { max: MAX_LIMIT });
+  }
+  // Larger pages are cut to the maximum, as the old routes did
+  const limit = Math.min(requested, MAX_LIMIT);
+
+  let fields = null;
+  if (query.fields) {
+    fields = String(query.fields).split(',').map(field => field.trim()).filter(Boolean);
+    if (fields.some(field => !DEAL_FIELDS.includes(field))) {
+      throw queryError('invalid_fields', { allowed: DEAL_FIELDS });
+    }
+  }
+
+  return {
+    filters,
+    includeWithdrawn: query.includeWithdrawn === 'true',
+    merge: query.merge !== 'false',
+    sort,
+    order,
+    limit,
+    after: query.cursor ? decodeCursor(String(query.cursor), sort, order) : null,
+    fields
+  };
+}
+
+function compare(a, op, b) {
+  switch (op) {
+    case '<=': return a <= b;
+    case '>=': return a >= b;
+    case '>': return a > b;
+    default: return a === b;
+  }
+}
+
+function passes(deal, filters, metrics) {
+  return Object.entries(filters).every(([param, value]) => {
+    const filter = FILTERS[param];
+    // Column filters run against stored deals, metric filters against priced ones
+    if (Boolean(filter.column) === metrics) return true;
+    const raw = deal[filter.field];
+    if (raw === null || raw === undefined) return filter.allowNull === true;
+    const actual = typeof value === 'number' ? parseFloat(raw) : raw;
+    return compare(actual, filter.op, value);
+  });
+}
+
+// In-memory equivalent of the SQL findDeals() runs for the same filters
+function matchesFilters(filters, { includeWithdrawn = false } = {}) {
+  return deal => (includeWithdrawn || !deal.withdrawnAt) && passes(deal, filters, false);
+}
+
+// The metric filters, for deals once they have been priced
+function matchesMetrics(filters) {
+  return deal => passes(deal, filters, true);
+}
+
+// Database ids where there are any; scraped snapshot deals fall back to their name
+function dealKey(deal) {
+  return deal.id !== null && deal.id !== undefined
+    ? deal.id
+    : `${deal.lenderName}|${deal.productName}|${deal.interestRate}`;
+}
+
+function sortValue(deal, sort) {
+  const value = parseFloat(deal[sort]);
+  return isNaN(value) ? null : value;
+}
+
+/**
+ * Orders two (value, key) positions. Missing values sort last either way
+ * round; ties break on the deal key so every deal has one fixed place.
+ */
+function comparePositions(a, b, order) {
+  if (a.value !== b.value) {
+    if (a.value === null) return 1;
+    if (b.value === null) return -1;
+    return order === 'desc' ? b.value - a.value : a.value - b.value;
+  }
+  if (typeof a.key === 'number' && typeof b.key === 'number') return a.key - b.key;
+  return String(a.key).localeCompare(String(b.key));
+}
+
+/**
+ * Sorts priced deals and cuts the page after the cursor. Returns the page
+ * and the cursor for the next one (null on the last page).
+ */
+function pageDeals(deals, { sort, order, limit, after }) {
+  const positioned = deals
+    .map(deal => ({ deal, value: sortValue(deal, sort), key: dealKey(deal) }))
+    .sort((a, b) => comparePositions(a, b, order));
+
+  const remaining = after ? positioned.filter(entry => comparePositions(entry, after, order) > 0) : positioned;
+  const page = remaining.slice(0, limit);
+  const last = page[page.length - 1];
+
+  return {
+    deals: page.map(entry => entry.deal),
+    nextCursor: remaining.length > limit
+      ? encodeCursor({ sort, order, value: last.value, key: last.key })
+      : null
+  };
+}
+
+// Keeps only the requested fields; `id` always stays so results can be fetched again
+function projectDeal(deal, fields) {
+  if (!fields) return deal;
+  const projected = { id: deal.id };
+  for (const field of fields) {
+    if (field in deal) projected[field] = deal[field];
+  }
+  return projected;
+}
+
+module.exports = {
+  FILTERS,
+  SORT_FIELDS,
+  DEAL_FIELDS,
+  MAX_LIMIT,
+  parseDealQuery,
+  matchesFilters,
+  matchesMetrics,
+  pageDeals,
+  projectDeal
+};
@@ -0,0 +1,116 @@
+const { lenderKey, applyLender } = require('./lenderDirectory');
+
+// Outside this range a "rate" is almost certainly a misread fee, LTV or APRC
+const MIN_RATE = 0.5;
+const MAX_RATE = 12;
+
+// Largest move in percentage points a product's rate plausibly makes between scrapes
+const MAX_RATE_CHANGE = 1;
+
+const MAX_NAME_LENGTH = 100;
+
+const REASONS = {
+  unknown_lender: 'Lender is not in the lender directory',
+  rate_out_of_range: `Rate is outside ${MIN_RATE}%-${MAX_RATE}%`,
+  implausible_rate_change: `Rate moved more than ${MAX_RATE_CHANGE} points since the last scrape`,
+  missing_fee: 'No arrangement fee was found',
+  garbage_name: 'Product name looks like scraped page text rather than a product',
+  duplicate_name: 'Product name is shared by several rates from this lender in one scrape'
+};
+
+// Identifies one scraped record; quarantine decisions are remembered against it
+function fingerprint(deal) {
+  return [deal.lenderName, deal.productName, deal.interestRate].map(v => String(v === undefined ? '' : v).trim()).join('|');
+}
+
+// Matches a product across scrapes regardless of its rate
+function productKey(deal) {
+  return `${lenderKey(deal.lenderName)}|${String(deal.productName || '').trim().toLowerCase()}`;
+}
+
+function isGarbageName(deal) {
+  const name = String(deal.productName || '').trim();
+  if (!/[a-z]{3}/i.test(name) || name.length > MAX_NAME_LENGTH) return true;
+
+  // Table-row dumps and generated "4.19% Mortgage" names carry the rate itself
+  const percentages = (name.match(/\d+(?:\.\d+)?(?=\s*%)/g) || []).map(parseFloat);
+  return percentages.includes(parseFloat(deal.interestRate));
+}
+
+/**
+ * Reasons a scraped deal should be held for review, as codes from REASONS.
+ * `previousRate` is the rate last saved for the same product from this source;
+ * `duplicateName` is set when the batch has several rates under the deal's name.
+ */
+function validateDeal(deal, { previousRate = null, duplicateName = false } = {}) {
+  const reasons = [];
+  const rate = parseFloat(deal.interestRate);
+
+  if (!deal.lenderId) reasons.push('unknown_lender');
+  if (isNaN(rate) || rate < MIN_RATE || rate > MAX_RATE) reasons.push('rate_out_of_range');
+  if (previousRate !== null && !isNaN(rate) && Math.abs(rate - previousRate) > MAX_RATE_CHANGE) {
+    reasons.push('implausible_rate_change');
+  }
+  if (deal.arrangementFee === undefined || deal.arrangementFee === null || isNaN(parseFloat(deal.arrangementFee))) {
+    reasons.push('missing_fee');
+  }
+  if (isGarbageName(deal)) reasons.push('garbage_name');
+  if (duplicateName) reasons.push('duplicate_name');
+
+  return reasons.map(code => ({ code, message: REASONS[code] }));
+}
+
+/**
+ * Splits a scrape into deals safe to save and deals to quarantine.
+ *
+ * `previousRates` maps productKey() of saved deals to their last rate;
+ * `decisions` maps fingerprint() to an earlier review ('approved' deals pass
+ * straight through, 'rejected' ones are dropped). Accepted deals carry their
+ * directory lender.
+ */
+function screenDeals(deals, { lenders = [], previousRates = new Map(), decisions = new Map() } = {}) {
+  // Keyed on the directory name so "Nationwide" matches a saved "Nationwide Building Society"
+  const screened = deals.map(scraped => ({ scraped, deal: applyLender(scraped, lenders) }));
+
+  const ratesByName = new Map();
+  for (const { deal } of screened) {
+    const key = productKey(deal);
+    if (!ratesByName.has(key)) ratesByName.set(key, new Set());
+    ratesByName.get(key).add(parseFloat(deal.interestRate));
+  }
+
+  const accepted = [];
+  const quarantined = [];
+  const rejected = [];
+
+  for (const { scraped, deal } of screened) {
+    const decision = decisions.get(fingerprint(scraped));
+    if (decision === 'rejected') {
+      rejected.push(scraped);
+      continue;
+    }
+
+    const key = productKey(deal);
+    const reasons = decision === 'approved' ? [] : validateDeal(deal, {
+      previousRate: previousRates.has(key) ? previousRates.get(key) : null,
+      duplicateName: ratesByName.get(key).size > 1
+    });
+
+    if (reasons.length > 0) {
+      quarantined.push({ deal: scraped, reasons });
+    } else {
+      accepted.push(deal);
+    }
+  }
+
+  return { accepted, quarantined, rejected };
+}
+
+module.exports = {
+  REASONS,
+  MAX_RATE_CHANGE,
+  fingerprint,
+  productKey,
+  validateDeal,
+  screenDeals
+};
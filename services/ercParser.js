@@ -0,0 +1,99 @@
+const { round2, interestOnlyPortion, amortisationSchedule } = require('./mortgageMath');
+const { currentRate } = require('./rateScenarios');
+
+const NO_CHARGE = /^\s*(none|nil|n\/a|no\s+(erc|ercs|charges?|early\s+repayment\s+charges?))\s*\.?\s*$/i;
+
+/**
+ * Parses free-text early repayment charges into yearly tiers, e.g.
+ *   '2% Year 1, 1% Year 2'    -> [{ year: 1, percent: 2 }, { year: 2, percent: 1 }]
+ *   'Year 1: 3%, Year 2: 2%'  -> [{ year: 1, percent: 3 }, { year: 2, percent: 2 }]
+ *   '5%, 4%, 3%' or '5/4/3%'  -> one tier per year in order
+ *   '3% for 5 years'          -> 3% in each of years 1-5
+ *   'None'                    -> []
+ *
+ * Returns null when the text is empty or cannot be understood, so callers
+ * can tell "no charges" apart from "unknown".
+ */
+function parseEarlyRepaymentCharges(text) {
+  if (text === null || text === undefined) return null;
+  const raw = String(text).trim();
+  if (raw === '') return null;
+  if (NO_CHARGE.test(raw)) return [];
+
+  const tiers = new Map();
+  let match;
+
+  const percentThenYear = /(\d+(?:\.\d+)?)\s*%\s*(?:in\s+|during\s+)?year\s*(\d+)/gi;
+  while ((match = percentThenYear.exec(raw)) !== null) {
+    tiers.set(parseInt(match[2], 10), parseFloat(match[1]));
+  }
+
+  const yearThenPercent = /year\s*(\d+)\s*[:\-=]?\s*(\d+(?:\.\d+)?)\s*%/gi;
+  while ((match = yearThenPercent.exec(raw)) !== null) {
+    if (!tiers.has(parseInt(match[1], 10))) {
+      tiers.set(parseInt(match[1], 10), parseFloat(match[2]));
+    }
+  }
+
+  if (tiers.size === 0) {
+    const flat = raw.match(/(\d+(?:\.\d+)?)\s*%\s*(?:for|over|throughout)\s*(?:the\s+first\s+)?(\d+)\s*years?/i);
+    if (flat) {
+      for (let year = 1; year <= parseInt(flat[2], 10); year++) {
+        tiers.set(year, parseFloat(flat[1]));
+      }
+    }
+  }
+
+  if (tiers.size === 0) {
+    const sequence = raw.match(/^\s*(\d+(?:\.\d+)?\s*%?\s*(?:[,/\-]\s*\d+(?:\.\d+)?\s*%?\s*)*)$/);
+    if (sequence && /%/.test(raw)) {
+      sequence[1].split(/[,/\-]/).forEach((part, i) => {
+        tiers.set(i + 1, parseFloat(part));
+      });
+    }
+  }
+
+  if (tiers.size === 0) return null;
+
+  return Array.from(tiers.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([year, percent]) => ({ year, percent }));
+}
+
+// Structured tiers stored on the deal, falling back to parsing the raw text
+function ercTiersFor(deal) {
+  if (Array.isArray(deal.ercTiers)) return deal.ercTiers;
+  return parseEarlyRepaymentCharges(deal.earlyRepaymentCharges) || [];
+}
+
+function ercPercentForYear(deal, year) {
+  const tier = ercTiersFor(deal).find(t => t.year === year);
+  return tier ? tier.percent : 0;
+}
+
+/**
+ * What it would cost to leave a deal in a given month of the loan: the ERC
+ * on the balance still owed at the start of that month
+ */
+function exitCost(deal, loan, month) {
+  const months = Math.round(loan.years * 12);
+  const exitMonth = Math.min(Math.max(parseInt(month, 10) || 1, 1), months);
+  // Trackers at today's base rate plus margin, as the deal listings price them
+  const schedule = amortisationSchedule(loan.principal, currentRate(deal), months, interestOnlyPortion(loan.principal, loan));
+  const balance = exitMonth > 1 ? schedule[exitMonth - 2].balance : loan.principal;
+  const ercPercent = ercPercentForYear(deal, Math.ceil(exitMonth / 12));
+
+  return {
+    month: exitMonth,
+    balance,
+    ercPercent,
+    charge: round2(balance * ercPercent / 100)
+  };
+}
+
+module.exports = {
+  parseEarlyRepaymentCharges,
+  ercTiersFor,
+  ercPercentForYear,
+  exitCost
+};
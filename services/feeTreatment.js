@@ -0,0 +1,107 @@
+const { round2, interestOnlyPortion, monthlyPayment, projectPayments } = require('./mortgageMath');
+const { netFees, horizonMonths, productMonths, ratePath, trueCost } = require('./trueCost');
+
+/**
+ * How a deal's arrangement fee is paid: `upfront` in cash, `added` to the
+ * loan (and paid off with interest over the term), or whichever of the two
+ * is `cheapest` once the cash kept back is valued at the borrower's savings
+ * rate. Valuation and legal fees are always cash.
+ */
+const FEE_TREATMENTS = ['upfront', 'added', 'cheapest'];
+
+// What cash kept back by borrowing the fee is assumed to earn, when the request gives no savingsRate
+const DEFAULT_SAVINGS_RATE = parseFloat(process.env.DEFAULT_SAVINGS_RATE || '4.0');
+
+/**
+ * Today's value of the cash a treatment costs over the horizon: fees paid
+ * now, each payment and the balance still owed at the horizon, discounted
+ * at `savingsRate`. Borrowing the fee only comes out cheaper when that
+ * rate beats what the mortgage charges on it.
+ */
+function discountedCost(upfrontFees, payments, balance, savingsRate) {
+  const monthlyDiscount = Math.pow(1 + savingsRate / 100, -1 / 12);
+  let discount = 1;
+  const paid = payments.reduce((sum, payment) => sum + payment * (discount *= monthlyDiscount), 0);
+  return upfrontFees + paid + balance * discount;
+}
+
+/**
+ * Prices a deal paying its arrangement fee one way. `totalInterest` is over
+ * the whole term (the deal rate, then the SVR); `trueCost` and
+ * `discountedCost` are over the horizon. `totalCostNYears` is payments plus
+ * cash fees plus whatever of a borrowed fee is still owed, so the two
+ * treatments compare on the same footing.
+ */
+function priceTreatment(deal, loan, lenderSvr, feesAddedToLoan) {
+  const months = Math.round(loan.years * 12);
+  const rate = parseFloat(deal.interestRate) || 0;
+  const addedFee = feesAddedToLoan ? parseFloat(deal.arrangementFee) || 0 : 0;
+  const borrowed = loan.principal + addedFee;
+  const interestOnly = interestOnlyPortion(borrowed, loan);
+  const payment = monthlyPayment(borrowed, rate, months, interestOnly);
+  const upfrontFees = netFees(deal) - addedFee;
+  const breakdown = trueCost(deal, loan, lenderSvr, { feesAddedToLoan });
+  const owedAfter = (principal, n) => projectPayments(
+    principal,
+    months,
+    Array(Math.min(n, months)).fill(rate),
+    interestOnlyPortion(principal, loan)
+  ).balance;
+  const costOver = n => {
+    const feeOwed = addedFee > 0 ? owedAfter(borrowed, n) - owedAfter(loan.principal, n) : 0;
+    return round2(payment * n + upfrontFees + feeOwed);
+  };
+  const over = n => projectPayments(borrowed, months, ratePath(deal, breakdown.svrRate, productMonths(deal, n), n), interestOnly);
+  const term = over(months);
+  const horizon = over(horizonMonths(loan));
+  const savingsRate = loan.savingsRate === undefined ? DEFAULT_SAVINGS_RATE : parseFloat(loan.savingsRate);
+
+  const priced = {
+    monthlyPayment: round2(payment),
+    upfrontFees: round2(upfrontFees),
+    addedToLoan: round2(addedFee),
+    totalInterest: round2(term.interest),
+    totalCost2Years: costOver(24),
+    totalCost5Years: costOver(60),
+    trueCost: breakdown.total,
+    discountedCost: round2(discountedCost(upfrontFees, horizon.payments, horizon.balance, savingsRate)),
+    trueCostBreakdown: breakdown
+  };
+  if (loan.baselineMonthly !== undefined) {
+    const savings = parseFloat(loan.baselineMonthly) - priced.monthlyPayment;
+    priced.monthlySavings = round2(savings);
+    priced.breakEvenMonths = savings > 0 && upfrontFees > 0 ? Math.ceil(upfrontFees / savings) : null;
+  }
+  return priced;
+}
+
+/**
+ * Prices `deal` (at its current rate) both ways and picks the treatment
+ * `loan.feeTreatment` asks for. `difference` is added minus upfront.
+ */
+function compareFeeTreatments(deal, loan, lenderSvr = null) {
+  const upfront = priceTreatment(deal, loan, lenderSvr, false);
+  const added = priceTreatment(deal, loan, lenderSvr, true);
+
+  let treatment = loan.feeTreatment || 'upfront';
+  if (treatment === 'cheapest') treatment = added.discountedCost < upfront.discountedCost ? 'added' : 'upfront';
+
+  return {
+    treatment,
+    chosen: treatment === 'added' ? added : upfront,
+    upfront,
+    added,
+    difference: {
+      monthlyPayment: round2(added.monthlyPayment - upfront.monthlyPayment),
+      totalInterest: round2(added.totalInterest - upfront.totalInterest),
+      trueCost: round2(added.trueCost - upfront.trueCost),
+      discountedCost: round2(added.discountedCost - upfront.discountedCost)
+    }
+  };
+}
+
+module.exports = {
+  FEE_TREATMENTS,
+  DEFAULT_SAVINGS_RATE,
+  compareFeeTreatments
+};
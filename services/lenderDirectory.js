@@ -0,0 +1,116 @@
+// lenderType values and the label stored on deals.lender_type for each
+const LENDER_TYPES = {
+  mainstream: 'UK Mainstream',
+  challenger: 'UK Challenger Bank',
+  building_society: 'UK Building Society',
+  offshore: 'Offshore',
+  islamic: 'Islamic Finance',
+  private_bank: 'Private Bank'
+};
+
+// Starting directory, inserted on first run; SVRs are left for admins to fill in
+const SEED_LENDERS = [
+  { canonicalName: 'Nationwide Building Society', aliases: ['Nationwide'], lenderType: 'building_society', website: 'https://www.nationwide.co.uk' },
+  { canonicalName: 'Coventry Building Society', aliases: ['Coventry'], lenderType: 'building_society', website: 'https://www.coventrybuildingsociety.co.uk' },
+  { canonicalName: 'Yorkshire Building Society', aliases: ['Yorkshire'], lenderType: 'building_society', website: 'https://www.ybs.co.uk' },
+  { canonicalName: 'Leeds Building Society', aliases: ['Leeds'], lenderType: 'building_society', website: 'https://www.leedsbuildingsociety.co.uk' },
+  { canonicalName: 'Skipton Building Society', aliases: ['Skipton'], lenderType: 'building_society', website: 'https://www.skipton.co.uk' },
+  { canonicalName: 'Halifax', aliases: [], lenderType: 'mainstream', website: 'https://www.halifax.co.uk' },
+  { canonicalName: 'Lloyds Bank', aliases: ['Lloyds'], lenderType: 'mainstream', website: 'https://www.lloydsbank.com' },
+  { canonicalName: 'Barclays', aliases: ['Barclays Bank'], lenderType: 'mainstream', website: 'https://www.barclays.co.uk' },
+  { canonicalName: 'HSBC', aliases: ['HSBC UK'], lenderType: 'mainstream', website: 'https://www.hsbc.co.uk' },
+  { canonicalName: 'First Direct', aliases: [], lenderType: 'mainstream', website: 'https://www.firstdirect.com' },
+  { canonicalName: 'Santander', aliases: ['Santander UK'], lenderType: 'mainstream', website: 'https://www.santander.co.uk' },
+  { canonicalName: 'NatWest', aliases: ['National Westminster Bank'], lenderType: 'mainstream', website: 'https://www.natwest.com' },
+  { canonicalName: 'Virgin Money', aliases: [], lenderType: 'mainstream', website: 'https://uk.virginmoney.com' },
+  { canonicalName: 'TSB', aliases: ['TSB Bank'], lenderType: 'mainstream', website: 'https://www.tsb.co.uk' },
+  { canonicalName: 'Atom Bank', aliases: ['Atom'], lenderType: 'challenger', website: 'https://www.atombank.co.uk' },
+  { canonicalName: 'Monzo', aliases: ['Monzo Bank'], lenderType: 'challenger', website: 'https://monzo.com' },
+  { canonicalName: 'Metro Bank', aliases: ['Metro'], lenderType: 'challenger', website: 'https://www.metrobankonline.co.uk' },
+  { canonicalName: 'Al Rayan Bank', aliases: ['Al Rayan'], lenderType: 'islamic', website: 'https://www.alrayanbank.co.uk' },
+  { canonicalName: 'Coutts', aliases: ['Coutts & Co'], lenderType: 'private_bank', website: 'https://www.coutts.com' },
+  { canonicalName: 'HSBC Expat', aliases: [], lenderType: 'offshore', website: 'https://www.expat.hsbc.com' },
+  { canonicalName: 'Butterfield', aliases: ['Butterfield Bank'], lenderType: 'offshore', website: 'https://www.butterfieldgroup.com' }
+];
+
+/**
+ * Reduces a lender name to a comparison key so "Leeds BS", "Leeds Building
+ * Society" and "LEEDS BUILDING SOCIETY PLC" all match
+ */
+function lenderKey(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/\bb\s?s\b/g, 'building society')
+    .replace(/\b(plc|ltd|limited|uk)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Finds the directory entry for a scraped lender name by canonical name or
+ * alias. Returns null when the lender is not in the directory.
+ */
+function matchLender(name, lenders) {
+  const key = lenderKey(name);
+  if (!key) return null;
+  return lenders.find(lender =>
+    lenderKey(lender.canonicalName) === key ||
+    (lender.aliases || []).some(alias => lenderKey(alias) === key)
+  ) || null;
+}
+
+/**
+ * The directory entry for a stored deal: by lender id when the deal has one,
+ * otherwise by matching its lender name
+ */
+function findLender(deal, lenders) {
+  return lenders.find(lender => lender.id === deal.lenderId) || matchLender(deal.lenderName, lenders);
+}
+
+/**
+ * Rewrites a scraped deal's lender name and type from the directory; deals
+ * from unknown lenders are returned unchanged with lenderId null
+ */
+function applyLender(deal, lenders) {
+  const lender = matchLender(deal.lenderName, lenders);
+  if (!lender) return { ...deal, lenderId: null };
+
+  return {
+    ...deal,
+    lenderId: lender.id,
+    lenderName: lender.canonicalName,
+    lenderType: LENDER_TYPES[lender.lenderType] || deal.lenderType
+  };
+}
+
+/**
+ * Whether a lender lends on a repayment type. Everyone lends on capital
+ * repayment; interest-only and part-and-part are ruled out only for lenders
+ * the directory marks as not offering interest-only.
+ */
+function offersRepaymentType(lender, repaymentType = 'repayment') {
+  return repaymentType === 'repayment' || !lender || lender.offersInterestOnly !== false;
+}
+
+/**
+ * Whether a deal was kept for an interest-only or part-and-part borrower only
+ * because the directory does not say either way: the lender is unknown or
+ * not yet marked, so results should not claim it was checked
+ */
+function repaymentTypeUnverified(lender, repaymentType = 'repayment') {
+  if (repaymentType === 'repayment') return false;
+  return !lender || lender.offersInterestOnly === null || lender.offersInterestOnly === undefined;
+}
+
+module.exports = {
+  LENDER_TYPES,
+  SEED_LENDERS,
+  lenderKey,
+  matchLender,
+  findLender,
+  applyLender,
+  offersRepaymentType,
+  repaymentTypeUnverified
+};
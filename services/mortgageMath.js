@@ -0,0 +1,99 @@
+/**
+ * Shared repayment maths used by the deal metrics and borrower profiles
+ */
+
+// How the capital is paid back: part-and-part splits the loan in two
+const REPAYMENT_TYPES = ['repayment', 'interest_only', 'part_and_part'];
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * The part of `principal` only paid interest on, left to clear at the end of
+ * the term: all of it for interest-only, `interestOnlyAmount` (at most the
+ * principal) for part-and-part, none for capital repayment
+ */
+function interestOnlyPortion(principal, { repaymentType = 'repayment', interestOnlyAmount = 0 } = {}) {
+  if (repaymentType === 'interest_only') return principal;
+  if (repaymentType === 'part_and_part') return Math.min(parseFloat(interestOnlyAmount) || 0, principal);
+  return 0;
+}
+
+/**
+ * Standard annuity repayment for a capital-and-interest mortgage; the
+ * `interestOnly` part of the principal only pays interest
+ */
+function monthlyPayment(principal, annualRate, months, interestOnly = 0) {
+  const monthlyRate = (parseFloat(annualRate) || 0) / 100 / 12;
+  if (!principal || !months) return 0;
+  const repaid = principal - interestOnly;
+  if (monthlyRate <= 0) return repaid / months;
+  return repaid * (monthlyRate * Math.pow(1 + monthlyRate, months)) / (Math.pow(1 + monthlyRate, months) - 1)
+    + interestOnly * monthlyRate;
+}
+
+/**
+ * Month-by-month split of each payment into interest and capital, assuming
+ * the rate holds for the whole term. An `interestOnly` part stays owed after
+ * the last payment.
+ */
+function amortisationSchedule(principal, annualRate, months, interestOnly = 0) {
+  const monthlyRate = (parseFloat(annualRate) || 0) / 100 / 12;
+  const payment = monthlyPayment(principal, annualRate, months, interestOnly);
+  const schedule = [];
+  let balance = principal;
+
+  for (let month = 1; month <= months; month++) {
+    const interest = balance * monthlyRate;
+    // Final payment clears whatever rounding has left behind
+    const capital = month === months ? balance - interestOnly : Math.min(payment - interest, balance - interestOnly);
+    balance -= capital;
+    schedule.push({
+      month,
+      payment: round2(interest + capital),
+      interest: round2(interest),
+      capital: round2(capital),
+      balance: round2(Math.max(balance, 0))
+    });
+  }
+
+  return schedule;
+}
+
+/**
+ * Runs a loan of `months` months through a rate for each projected month
+ * (`rates` may cover fewer months than the term). Whenever the rate changes
+ * the payment is re-amortised over the months left, as lenders do; the last
+ * month of the term clears the balance bar any `interestOnly` part.
+ */
+function projectPayments(principal, months, rates, interestOnly = 0) {
+  const payments = [];
+  let balance = principal;
+  let interest = 0;
+  let payment = 0;
+
+  rates.forEach((annualRate, i) => {
+    const month = i + 1;
+    if (month > months || balance <= 0.005) return;
+    if (i === 0 || annualRate !== rates[i - 1]) {
+      payment = monthlyPayment(balance, annualRate, months - i, interestOnly);
+    }
+    const monthInterest = balance * (parseFloat(annualRate) || 0) / 100 / 12;
+    const capital = month === months ? balance - interestOnly : Math.min(payment - monthInterest, balance - interestOnly);
+    interest += monthInterest;
+    balance -= capital;
+    payments.push(monthInterest + capital);
+  });
+
+  return { payments, interest, balance: Math.max(balance, 0) };
+}
+
+module.exports = {
+  REPAYMENT_TYPES,
+  round2,
+  interestOnlyPortion,
+  monthlyPayment,
+  amortisationSchedule,
+  projectPayments
+};
@@ -0,0 +1,122 @@
+const { round2, interestOnlyPortion, projectPayments } = require('./mortgageMath');
+const { ercPercentForYear } = require('./ercParser');
+const { currentRate } = require('./rateScenarios');
+const { DEFAULT_SVR_RATE, productMonths, ratePath } = require('./trueCost');
+
+// Most lenders allow 10% of the balance a year without penalty
+const DEFAULT_ALLOWANCE_PERCENT = 10;
+
+/**
+ * Normalises an overpayment plan: a regular monthly amount plus one-off
+ * lump sums keyed by the month they are paid in
+ */
+function normalisePlan(plan = {}) {
+  const lumpSums = new Map();
+  for (const lump of plan.lumpSums || []) {
+    const month = parseInt(lump.month, 10);
+    const amount = parseFloat(lump.amount);
+    if (month > 0 && amount > 0) {
+      lumpSums.set(month, (lumpSums.get(month) || 0) + amount);
+    }
+  }
+
+  return {
+    monthlyOverpayment: Math.max(parseFloat(plan.monthlyOverpayment) || 0, 0),
+    lumpSums,
+    stayWithinAllowance: plan.stayWithinAllowance === true || plan.stayWithinAllowance === 'true'
+  };
+}
+
+/**
+ * Runs a deal's repayment schedule with an overpayment plan applied.
+ *
+ * The deal rate (trackers at today's base rate plus margin) holds for the
+ * deal's term_years, then the loan reverts to `lenderSvr`, or the default
+ * SVR when it is not known, as in the true cost. Each month's payment is the
+ * one due without overpaying, so overpayments shorten the term rather than
+ * lower the payment.
+ *
+ * During the fixed period (term_years) penalty-free overpayments are limited
+ * to the deal's yearly allowance, measured against the balance at the start
+ * of each deal year. Anything above it either triggers that year's ERC or,
+ * with stayWithinAllowance, is not paid at all. Overpayments on an
+ * interest-only or part-and-part loan go to the interest-only part first,
+ * cutting both the interest charged on it and the balance owed at the end.
+ */
+function simulateOverpayments(deal, loan, plan, lenderSvr = null) {
+  const { monthlyOverpayment, lumpSums, stayWithinAllowance } = normalisePlan(plan);
+  const months = Math.round(loan.years * 12);
+  const svrRate = lenderSvr === null || lenderSvr === undefined ? DEFAULT_SVR_RATE : parseFloat(lenderSvr);
+  const rates = ratePath({ ...deal, interestRate: currentRate(deal) }, svrRate, productMonths(deal, months), months);
+  const interestOnly = interestOnlyPortion(loan.principal, loan);
+  const baseline = projectPayments(loan.principal, months, rates, interestOnly);
+  // Payments on the capital-repayment part; interest on the interest-only part is added month by month
+  const repaymentPayments = projectPayments(loan.principal - interestOnly, months, rates).payments;
+  const allowancePercent = deal.overpaymentAllowance === null || deal.overpaymentAllowance === undefined
+    ? DEFAULT_ALLOWANCE_PERCENT
+    : parseFloat(deal.overpaymentAllowance);
+  const fixedMonths = (deal.termYears || 0) * 12;
+
+  let repaying = loan.principal - interestOnly;
+  let interestOnlyLeft = interestOnly;
+  let allowanceLeft = Infinity;
+  let month = 0;
+  const totals = { interest: 0, overpaid: 0, penaltyFree: 0, excess: 0, notPaid: 0, erc: 0 };
+
+  while (repaying + interestOnlyLeft > 0.005 && month < months) {
+    month++;
+    const year = Math.ceil(month / 12);
+    if (month % 12 === 1) {
+      allowanceLeft = month <= fixedMonths ? (repaying + interestOnlyLeft) * allowancePercent / 100 : Infinity;
+    }
+
+    const monthlyRate = rates[month - 1] / 100 / 12;
+    totals.interest += (repaying + interestOnlyLeft) * monthlyRate;
+    repaying -= Math.min((repaymentPayments[month - 1] || 0) - repaying * monthlyRate, repaying);
+
+    let overpayment = Math.min(monthlyOverpayment + (lumpSums.get(month) || 0), repaying + interestOnlyLeft);
+    const penaltyFree = Math.min(overpayment, allowanceLeft);
+    const excess = overpayment - penaltyFree;
+
+    if (excess > 0 && stayWithinAllowance) {
+      totals.notPaid += excess;
+      overpayment = penaltyFree;
+    } else if (excess > 0) {
+      totals.excess += excess;
+      totals.erc += excess * ercPercentForYear(deal, year) / 100;
+    }
+
+    allowanceLeft -= penaltyFree;
+    totals.penaltyFree += penaltyFree;
+    totals.overpaid += overpayment;
+    // Overpaying clears the interest-only part first: it is what would still be owed at the end
+    const fromInterestOnly = Math.min(overpayment, interestOnlyLeft);
+    interestOnlyLeft -= fromInterestOnly;
+    repaying -= overpayment - fromInterestOnly;
+  }
+
+  const baselineInterest = baseline.interest;
+
+  return {
+    overpaymentAllowance: allowancePercent,
+    svrRate,
+    monthlyPayment: round2(baseline.payments[0] || 0),
+    totalOverpaid: round2(totals.overpaid),
+    penaltyFreeOverpaid: round2(totals.penaltyFree),
+    excessOverpaid: round2(totals.excess),
+    overpaymentNotMade: round2(totals.notPaid),
+    ercCharged: round2(totals.erc),
+    totalInterest: round2(totals.interest),
+    baselineTotalInterest: round2(baselineInterest),
+    interestSaved: round2(baselineInterest - totals.interest),
+    balanceOwedAtEnd: round2(repaying + interestOnlyLeft),
+    termMonths: month,
+    monthsSaved: months - month,
+    netSaving: round2(baselineInterest - totals.interest - totals.erc)
+  };
+}
+
+module.exports = {
+  DEFAULT_ALLOWANCE_PERCENT,
+  simulateOverpayments
+};
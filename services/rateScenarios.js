@@ -0,0 +1,100 @@
+const { round2, interestOnlyPortion, projectPayments } = require('./mortgageMath');
+const { DEFAULT_SVR_RATE, netFees, horizonMonths, productMonths } = require('./trueCost');
+
+// Bank of England base rate trackers are priced against; update when the MPC moves it
+const BASE_RATE = parseFloat(process.env.BANK_BASE_RATE || '4.00');
+
+// Named base-rate paths: a change from today's rate, held for the whole horizon
+const SCENARIOS = {
+  flat: 0,
+  up1: 1,
+  down1: -1
+};
+
+function isTracker(deal) {
+  return deal.dealType === 'Tracker';
+}
+
+function parseRate(value) {
+  return value === null || value === undefined || value === '' ? null : parseFloat(value);
+}
+
+/**
+ * A tracker's margin over base rate and its collar. Deals saved before the
+ * margin was stored fall back to their quoted rate less today's base rate.
+ */
+function trackerTerms(deal) {
+  const margin = parseRate(deal.trackerMargin);
+  return {
+    margin: margin === null ? round2((parseFloat(deal.interestRate) || 0) - BASE_RATE) : margin,
+    collar: parseRate(deal.rateCollar)
+  };
+}
+
+// A tracker's pay rate for a base rate: base plus margin, never below the collar or zero
+function trackerRate(deal, baseRate) {
+  const { margin, collar } = trackerTerms(deal);
+  return round2(Math.max(baseRate + margin, collar === null ? 0 : collar, 0));
+}
+
+// The rate a deal charges today
+function currentRate(deal) {
+  return isTracker(deal) ? trackerRate(deal, BASE_RATE) : round2(parseFloat(deal.interestRate));
+}
+
+/**
+ * Base rate for each month of the horizon. `scenario` is a SCENARIOS name or
+ * an array of monthly base rates; a short path holds its last rate.
+ */
+function basePath(scenario, months) {
+  if (Array.isArray(scenario)) {
+    return Array.from({ length: months }, (_, i) => scenario[Math.min(i, scenario.length - 1)]);
+  }
+  return Array.from({ length: months }, () => Math.max(BASE_RATE + SCENARIOS[scenario], 0));
+}
+
+/**
+ * Projects a deal along a base-rate path over the loan's horizon. Trackers
+ * follow base rate during their term; fixed deals hold their rate. After the
+ * term both revert to the lender's SVR, which moves with base rate.
+ */
+function projectScenario(deal, loan, path, lenderSvr = null) {
+  const horizon = Math.min(horizonMonths(loan), path.length);
+  const onProduct = productMonths(deal, horizon);
+  const svr = lenderSvr === null || lenderSvr === undefined ? DEFAULT_SVR_RATE : parseFloat(lenderSvr);
+  const fixedRate = parseFloat(deal.interestRate) || 0;
+
+  const rates = path.slice(0, horizon).map((baseRate, i) => {
+    if (i >= onProduct) return round2(Math.max(svr + baseRate - BASE_RATE, 0));
+    return isTracker(deal) ? trackerRate(deal, baseRate) : fixedRate;
+  });
+  const { payments, interest, balance } = projectPayments(
+    loan.principal,
+    Math.round(loan.years * 12),
+    rates,
+    interestOnlyPortion(loan.principal, loan)
+  );
+  const fees = netFees(deal);
+
+  return {
+    rates,
+    monthlyPayments: payments.map(round2),
+    averageMonthlyPayment: payments.length > 0 ? round2(payments.reduce((sum, p) => sum + p, 0) / payments.length) : 0,
+    highestMonthlyPayment: payments.length > 0 ? round2(Math.max(...payments)) : 0,
+    interest: round2(interest),
+    fees: round2(fees),
+    balanceAtHorizon: round2(balance),
+    totalCost: round2(interest + fees)
+  };
+}
+
+module.exports = {
+  BASE_RATE,
+  SCENARIOS,
+  isTracker,
+  trackerTerms,
+  trackerRate,
+  currentRate,
+  basePath,
+  projectScenario
+};
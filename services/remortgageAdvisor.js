@@ -0,0 +1,351 @@
+const { round2, interestOnlyPortion, projectPayments } = require('./mortgageMath');
+const { DEFAULT_HORIZON_YEARS, DEFAULT_SVR_RATE } = require('./trueCost');
+const { currentRate } = require('./rateScenarios');
+const { matchLender, findLender, offersRepaymentType, repaymentTypeUnverified } = require('./lenderDirectory');
+
+// What moving lender usually costs when a deal does not include these
+const DEFAULT_VALUATION_COST = 350;
+const DEFAULT_LEGAL_COST = 1000;
+
+// Days before the current deal ends at which acting becomes urgent
+const URGENT_DAYS = 90;
+const SOON_DAYS = 180;
+
+const KIND_LABELS = {
+  stay_on_svr: 'Stay on SVR',
+  product_transfer: 'Product transfer',
+  switch: 'Remortgage'
+};
+
+function money(value) {
+  return `£${Math.round(value).toLocaleString('en-GB')}`;
+}
+
+function years(months) {
+  return round2(months / 12);
+}
+
+/**
+ * The borrower's position: balance, term and rates, with months until the
+ * current deal ends (0 once it has). Missing rates fall back to the current
+ * lender's SVR from the directory, then the default; `assumptions` says so.
+ */
+function borrowerPosition(profile, lenders, horizonYears, today) {
+  const assumptions = [];
+  const remainingMonths = Math.round((profile.remainingTermYears || 25) * 12);
+  const lender = profile.currentLender ? matchLender(profile.currentLender, lenders) : null;
+
+  let svrRate = profile.svrRate;
+  if (svrRate === null || svrRate === undefined) {
+    svrRate = lender && lender.svrRate !== null ? lender.svrRate : DEFAULT_SVR_RATE;
+    assumptions.push(`No SVR on the profile; assumed ${svrRate}%`);
+  }
+
+  let monthsLeft = 0;
+  if (profile.dealEndDate) {
+    // A 'YYYY-MM-DD' date parses as UTC midnight, so read it back in UTC
+    const end = new Date(profile.dealEndDate);
+    monthsLeft = Math.max((end.getUTCFullYear() - today.getFullYear()) * 12 + end.getUTCMonth() - today.getMonth(), 0);
+  } else {
+    assumptions.push('No deal end date on the profile; treated as already on SVR');
+  }
+
+  let currentDealRate = profile.currentRate;
+  if (monthsLeft > 0 && (currentDealRate === null || currentDealRate === undefined)) {
+    currentDealRate = svrRate;
+    assumptions.push('No current rate on the profile; assumed the SVR until the deal ends');
+  }
+
+  return {
+    balance: profile.outstandingBalance,
+    repaymentType: profile.repaymentType || 'repayment',
+    interestOnly: interestOnlyPortion(profile.outstandingBalance, profile),
+    ltv: profile.ltv,
+    remainingMonths,
+    horizonMonths: Math.min(Math.round(horizonYears * 12), remainingMonths),
+    currentLender: lender ? lender.canonicalName : profile.currentLender || null,
+    currentRate: currentDealRate,
+    svrRate,
+    monthsLeft,
+    ercPercent: profile.currentErcPercent,
+    maxUpfrontFees: profile.maxUpfrontFees,
+    preferredFixedPeriod: profile.preferredFixedPeriod,
+    assumptions
+  };
+}
+
+function urgencyOf(profile) {
+  if (profile.daysUntilExpiry === null || profile.daysUntilExpiry === undefined) return 'high';
+  if (profile.daysUntilExpiry <= URGENT_DAYS) return 'high';
+  return profile.daysUntilExpiry <= SOON_DAYS ? 'medium' : 'low';
+}
+
+// Costs of taking a deal; product transfers need no valuation or conveyancing
+function movingCosts(deal, productTransfer) {
+  const costs = {
+    arrangementFee: parseFloat(deal.arrangementFee) || 0,
+    valuationFee: 0,
+    legalFees: 0,
+    cashback: parseFloat(deal.cashback) || 0,
+    estimated: []
+  };
+  if (productTransfer) return costs;
+
+  costs.valuationFee = parseFloat(deal.valuationFee) || 0;
+  if (!deal.freeValuation && costs.valuationFee === 0) {
+    costs.valuationFee = DEFAULT_VALUATION_COST;
+    costs.estimated.push('valuation');
+  }
+  costs.legalFees = parseFloat(deal.legalFees) || 0;
+  if (!deal.freeLegalWork && costs.legalFees === 0) {
+    costs.legalFees = DEFAULT_LEGAL_COST;
+    costs.estimated.push('legal');
+  }
+  return costs;
+}
+
+/**
+ * A profile's stored retention offer as a deal to compare. Its id is
+ * prefixed so it can never collide with a market deal's.
+ */
+function asProductTransfer(deal) {
+  return { ...deal, id: `pt-${deal.id}`, retentionDealId: deal.id, productTransfer: true, dealSource: 'retention' };
+}
+
+/**
+ * A market deal carrying the valuation and legal costs remortgaging to it
+ * would incur, so it prices like-for-like against product transfers.
+ */
+function withSwitchingCosts(deal) {
+  const costs = movingCosts(deal, false);
+  return {
+    ...deal,
+    valuationFee: costs.valuationFee,
+    legalFees: costs.legalFees,
+    estimatedCosts: costs.estimated,
+    productTransfer: false,
+    dealSource: 'market'
+  };
+}
+
+/**
+ * Prices one path over the horizon: the current rate until `startMonth`,
+ * then `rate` for `termMonths`, then `revertRate`. Interest, fees and any
+ * ERC make up the total.
+ */
+function costPath(borrower, { startMonth, rate, termMonths, revertRate, costs, erc }) {
+  const rates = Array.from({ length: borrower.horizonMonths }, (_, i) => {
+    if (i < Math.min(startMonth, borrower.monthsLeft)) return borrower.currentRate;
+    if (i < startMonth) return borrower.svrRate;
+    return i < startMonth + termMonths ? rate : revertRate;
+  });
+  const { payments, interest } = projectPayments(borrower.balance, borrower.remainingMonths, rates, borrower.interestOnly);
+  const fees = costs.arrangementFee + costs.valuationFee + costs.legalFees - costs.cashback;
+
+  return {
+    monthlyPayment: startMonth < payments.length ? round2(payments[startMonth]) : null,
+    costs: {
+      interest: round2(interest),
+      arrangementFee: costs.arrangementFee,
+      valuationFee: costs.valuationFee,
+      legalFees: costs.legalFees,
+      cashback: costs.cashback,
+      erc: round2(erc),
+      upfront: round2(costs.arrangementFee + costs.valuationFee + costs.legalFees + erc)
+    },
+    totalCost: round2(interest + fees + erc)
+  };
+}
+
+function stayOnSvr(borrower) {
+  const option = costPath(borrower, {
+    startMonth: borrower.monthsLeft,
+    rate: borrower.svrRate,
+    termMonths: borrower.horizonMonths,
+    revertRate: borrower.svrRate,
+    costs: movingCosts({}, true),
+    erc: 0
+  });
+  return {
+    kind: 'stay_on_svr',
+    dealId: null,
+    rate: borrower.svrRate,
+    startsInMonths: borrower.monthsLeft,
+    ...option,
+    withinFeeBudget: true,
+    reasons: [borrower.monthsLeft > 0
+      ? `Moves to the ${borrower.svrRate}% SVR when the current deal ends in ${borrower.monthsLeft} months`
+      : `Stays on the ${borrower.svrRate}% SVR`]
+  };
+}
+
+/**
+ * A deal as a product transfer or a switch. Starting when the current deal
+ * ends avoids the ERC; with a known ERC, starting now is costed too and the
+ * cheaper timing is kept.
+ */
+function dealOption(borrower, deal, lenders) {
+  // Only stored retention offers are product transfers; the current lender's market deals are switches
+  const productTransfer = deal.productTransfer === true;
+  const lender = findLender(deal, lenders);
+  let lenderSvr = lender && lender.svrRate !== null ? lender.svrRate : null;
+  if (productTransfer) lenderSvr = borrower.svrRate;
+  const revertRate = lenderSvr === null ? DEFAULT_SVR_RATE : lenderSvr;
+  const rate = currentRate(deal);
+  const termMonths = (parseInt(deal.termYears, 10) || 0) * 12 || borrower.horizonMonths;
+  const costs = movingCosts(deal, productTransfer);
+  const path = { rate, termMonths, revertRate, costs };
+
+  const atEnd = costPath(borrower, { ...path, startMonth: borrower.monthsLeft, erc: 0 });
+  let timing = atEnd;
+  let startsInMonths = borrower.monthsLeft;
+  const reasons = [];
+
+  if (borrower.monthsLeft > 0 && borrower.ercPercent > 0) {
+    const erc = borrower.balance * borrower.ercPercent / 100;
+    const now = costPath(borrower, { ...path, startMonth: 0, erc });
+    if (now.totalCost < atEnd.totalCost) {
+      timing = now;
+      startsInMonths = 0;
+      reasons.push(`Moving now costs ${money(erc)} in ERC but saves ${money(atEnd.totalCost - now.totalCost)} against waiting ${borrower.monthsLeft} months`);
+    } else {
+      reasons.push(`Waiting ${borrower.monthsLeft} months for the current deal to end avoids a ${money(erc)} ERC`);
+    }
+  } else if (borrower.monthsLeft > 0) {
+    reasons.push(`Starts when the current deal ends in ${borrower.monthsLeft} months`);
+  }
+
+  reasons.unshift(productTransfer
+    ? `Product transfer with ${deal.lenderName}: no valuation or legal costs`
+    : `Remortgage to ${deal.lenderName}`);
+  if (costs.estimated.length > 0) {
+    reasons.push(`${costs.estimated.join(' and ')} costs estimated at ${money(costs.valuationFee + costs.legalFees)}`);
+  }
+  if (startsInMonths + termMonths < borrower.horizonMonths) {
+    reasons.push(`Reverts to ${lenderSvr === null ? 'an assumed' : 'the lender\'s'} ${revertRate}% SVR after ${years(termMonths)} years`);
+  }
+  if (borrower.preferredFixedPeriod && deal.termYears && parseInt(deal.termYears, 10) !== borrower.preferredFixedPeriod) {
+    reasons.push(`${deal.termYears}-year term against a preferred ${borrower.preferredFixedPeriod} years`);
+  }
+
+  // The current lender already lends this way; a new one may not
+  const interestOnlyUnverified = !productTransfer && repaymentTypeUnverified(lender, borrower.repaymentType);
+  if (interestOnlyUnverified) {
+    reasons.push(`Not confirmed that ${deal.lenderName} lends on ${borrower.repaymentType.replace(/_/g, ' ')}`);
+  }
+
+  const withinFeeBudget = borrower.maxUpfrontFees === null || borrower.maxUpfrontFees === undefined
+    || timing.costs.upfront <= borrower.maxUpfrontFees;
+  if (!withinFeeBudget) {
+    reasons.push(`${money(timing.costs.upfront)} upfront is over the ${money(borrower.maxUpfrontFees)} fee budget`);
+  }
+
+  return {
+    kind: productTransfer ? 'product_transfer' : 'switch',
+    dealId: deal.id === undefined ? null : deal.id,
+    lenderName: deal.lenderName,
+    productName: deal.productName,
+    dealType: deal.dealType,
+    termYears: deal.termYears,
+    rate,
+    startsInMonths,
+    ...timing,
+    withinFeeBudget,
+    ...(interestOnlyUnverified ? { interestOnlyUnverified } : {}),
+    reasons
+  };
+}
+
+function summarise(best, horizonMonths) {
+  const horizon = `${years(horizonMonths)} years`;
+  if (best.kind === 'stay_on_svr') {
+    return `Staying on the SVR is cheapest over ${horizon}: no available deal beats it once fees are counted.`;
+  }
+  const fees = best.costs.upfront - best.costs.cashback;
+  return `${KIND_LABELS[best.kind]} to ${best.lenderName} ${best.productName} at ${best.rate}%`
+    + `${best.startsInMonths > 0 ? ` in ${best.startsInMonths} months` : ' now'}: `
+    + `${money(best.savingVsSvr)} cheaper than staying on the SVR over ${horizon}, after ${money(fees)} in net fees`
+    + `${best.costs.erc > 0 ? ' and ERC' : ''}.`;
+}
+
+/**
+ * Compares staying on SVR, the product transfers the current lender has
+ * offered (retention deals) and remortgaging to each market deal the borrower's LTV and repayment type
+ * qualify for, over `horizonYears`. Options within the fee budget rank
+ * first, then by total cost (interest, fees net of cashback and ERC). Every
+ * option carries the numbers and the reasons behind its place.
+ */
+function decide(profile, deals, { lenders = [], horizonYears = DEFAULT_HORIZON_YEARS, limit = 10, today = new Date() } = {}) {
+  const borrower = borrowerPosition(profile, lenders, horizonYears, today);
+  const baseline = stayOnSvr(borrower);
+
+  const eligible = deals
+    .filter(deal => borrower.ltv === null || !(parseFloat(deal.maxLTV) < borrower.ltv))
+    .filter(deal => offersRepaymentType(findLender(deal, lenders), borrower.repaymentType));
+  const ranked = [baseline, ...eligible.map(deal => dealOption(borrower, deal, lenders))]
+    .map(option => {
+      // Against the SVR payment, and how long that saving takes to cover fees and ERC
+      const monthlySaving = option.monthlyPayment === null || baseline.monthlyPayment === null
+        ? null
+        : round2(baseline.monthlyPayment - option.monthlyPayment);
+      const outlay = option.costs.upfront - option.costs.cashback;
+      return {
+        ...option,
+        savingVsSvr: round2(baseline.totalCost - option.totalCost),
+        monthlySaving,
+        breakEvenMonths: monthlySaving > 0 && outlay > 0 ? Math.ceil(outlay / monthlySaving) : null
+      };
+    })
+    .sort((a, b) => (a.withinFeeBudget === false) - (b.withinFeeBudget === false) || a.totalCost - b.totalCost)
+    .map((option, i) => ({ rank: i + 1, ...option }));
+
+  const best = ranked[0];
+  return {
+    borrower: {
+      balance: borrower.balance,
+      repaymentType: borrower.repaymentType,
+      interestOnlyAmount: round2(borrower.interestOnly),
+      ltv: borrower.ltv,
+      currentLender: borrower.currentLender,
+      currentRate: borrower.currentRate,
+      svrRate: borrower.svrRate,
+      dealEndsInMonths: borrower.monthsLeft,
+      currentErcPercent: borrower.ercPercent === undefined ? null : borrower.ercPercent
+    },
+    horizonYears: years(borrower.horizonMonths),
+    urgency: urgencyOf(profile),
+    assumptions: borrower.assumptions,
+    recommendation: {
+      kind: best.kind,
+      dealId: best.dealId,
+      totalCost: best.totalCost,
+      savingVsSvr: best.savingVsSvr,
+      summary: summarise(best, borrower.horizonMonths)
+    },
+    baseline,
+    options: ranked.slice(0, limit)
+  };
+}
+
+/**
+ * Runs decide() for a stored profile against the live, merged deal set and
+ * the profile's unexpired retention offers. Returns null when the profile does not exist.
+ */
+async function decideForProfile(profileId, options = {}) {
+  const { getUserProfile, findDeals, listLenders, listRetentionDeals } = require('../database');
+  const { mergeDeals } = require('./dealMerger');
+
+  const profile = await getUserProfile(profileId);
+  if (!profile) return null;
+  const [deals, lenders, retention] = await Promise.all([findDeals(), listLenders(), listRetentionDeals(profileId)]);
+  return decide(profile, [...mergeDeals(deals), ...retention.map(asProductTransfer)], { ...options, lenders });
+}
+
+module.exports = {
+  DEFAULT_VALUATION_COST,
+  DEFAULT_LEGAL_COST,
+  asProductTransfer,
+  withSwitchingCosts,
+  decide,
+  decideForProfile
+};
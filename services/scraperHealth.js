@@ -0,0 +1,131 @@
+// Runs of a source considered when judging its health
+const HEALTH_WINDOW = 20;
+
+// This many empty or failed runs in a row means the source is broken
+const ZERO_STREAK_ALERT = 2;
+
+// A run finding less than this share of the recent average is suspicious
+const LOW_YIELD_RATIO = 0.5;
+
+function average(values) {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+}
+
+function leadingCount(logs, predicate) {
+  const index = logs.findIndex(log => !predicate(log));
+  return index === -1 ? logs.length : index;
+}
+
+/**
+ * A page loaded but nothing usable came out of it: either no card or row
+ * matched the selectors, or cards matched but none yielded a deal. Usually
+ * means the site's markup changed.
+ */
+function isSelectorMiss(log) {
+  return log.pagesLoaded > 0 && log.dealsFound === 0;
+}
+
+/**
+ * Judges a source from its scrape_logs rows, newest first. `status` is
+ * healthy, degraded (one bad or thin run), failing (a streak of empty runs
+ * or a selector miss) or unknown (never run). `problems` lists why.
+ */
+function assessHealth(source, logs) {
+  if (logs.length === 0) {
+    return { source, status: 'unknown', runs: 0, problems: [] };
+  }
+
+  const [latest, ...earlier] = logs;
+  const dealsFound = latest.dealsFound || 0;
+  const productive = earlier.filter(log => log.status === 'success' && log.dealsFound > 0);
+  const averageDeals = average(productive.map(log => log.dealsFound));
+  const dealsVsAverage = averageDeals ? Math.round(dealsFound / averageDeals * 100) / 100 : null;
+  const durations = logs.map(log => log.durationMs).filter(ms => ms !== null && ms !== undefined);
+  const zeroStreak = leadingCount(logs, log => !(log.dealsFound > 0));
+  const errorStreak = leadingCount(logs, log => log.status === 'error');
+  const selectorMiss = isSelectorMiss(latest);
+  const lastSuccess = logs.find(log => log.status === 'success' && log.dealsFound > 0);
+
+  const problems = [];
+  if (zeroStreak >= ZERO_STREAK_ALERT) problems.push(`No deals in the last ${zeroStreak} runs`);
+  else if (zeroStreak > 0) problems.push('Latest run found no deals');
+  if (errorStreak > 0) problems.push(`Latest run failed: ${latest.errorMessage || 'unknown error'}`);
+  if (selectorMiss) {
+    problems.push(latest.cardsMatched > 0
+      ? `${latest.cardsMatched} results matched but none could be read`
+      : 'Page loaded but no results matched the selectors');
+  }
+  if (dealsFound > 0 && dealsVsAverage !== null && dealsVsAverage < LOW_YIELD_RATIO) {
+    problems.push(`Found ${dealsFound} deals against a recent average of ${Math.round(averageDeals)}`);
+  }
+
+  let status = 'healthy';
+  if (zeroStreak >= ZERO_STREAK_ALERT || selectorMiss) status = 'failing';
+  else if (problems.length > 0) status = 'degraded';
+
+  return {
+    source,
+    status,
+    runs: logs.length,
+    lastRunAt: latest.scrapedAt,
+    lastRunStatus: latest.status,
+    lastSuccessAt: lastSuccess ? lastSuccess.scrapedAt : null,
+    dealsFound,
+    averageDeals: averageDeals === null ? null : Math.round(averageDeals * 10) / 10,
+    dealsVsAverage,
+    lastDurationMs: latest.durationMs === undefined ? null : latest.durationMs,
+    averageDurationMs: durations.length > 0 ? Math.round(average(durations)) : null,
+    zeroStreak,
+    errorStreak,
+    selectorMiss,
+    cardsMatched: latest.cardsMatched === undefined ? null : latest.cardsMatched,
+    problems
+  };
+}
+
+async function getSourceHealth(source) {
+  const { getScrapeLogs } = require('../database');
+  return assessHealth(source, await getScrapeLogs(source, HEALTH_WINDOW));
+}
+
+// Logs the problem and, with OPERATOR_EMAIL set, emails the operator
+async function alertOperator(health) {
+  const summary = `${health.source} scraper is failing: ${health.problems.join('; ')}`;
+  console.error(`OPERATOR ALERT: ${summary}`);
+
+  if (!process.env.OPERATOR_EMAIL) return;
+  try {
+    const { sendCustomAlert } = require('./alertService');
+    await sendCustomAlert(
+      process.env.OPERATOR_EMAIL,
+      `Scraper failing: ${health.source}`,
+      `<p>${summary}</p><p>Last good run: ${health.lastSuccessAt || 'never'}</p>`
+    );
+  } catch (error) {
+    console.error('Error sending operator alert:', error.message);
+  }
+}
+
+/**
+ * Re-assesses a source after a run and alerts the operator when it has just
+ * started failing, so a broken scraper raises one alert rather than one per run
+ */
+async function checkSourceHealth(source) {
+  const { getScrapeLogs } = require('../database');
+  const logs = await getScrapeLogs(source, HEALTH_WINDOW + 1);
+  const health = assessHealth(source, logs.slice(0, HEALTH_WINDOW));
+  const before = assessHealth(source, logs.slice(1));
+
+  if (health.status === 'failing' && before.status !== 'failing') {
+    await alertOperator(health);
+  }
+  return health;
+}
+
+module.exports = {
+  HEALTH_WINDOW,
+  ZERO_STREAK_ALERT,
+  assessHealth,
+  getSourceHealth,
+  checkSourceHealth
+};
@@ -0,0 +1,82 @@
+const { round2, interestOnlyPortion, projectPayments } = require('./mortgageMath');
+
+// Years a deal is costed over when the borrower does not choose a horizon
+const DEFAULT_HORIZON_YEARS = 5;
+
+// Reversion rate for lenders whose SVR is not in the directory yet
+const DEFAULT_SVR_RATE = parseFloat(process.env.DEFAULT_SVR_RATE || '7.5');
+
+// Fees net of cashback
+function netFees(deal) {
+  return (parseFloat(deal.arrangementFee) || 0) + (parseFloat(deal.valuationFee) || 0)
+    + (parseFloat(deal.legalFees) || 0) - (parseFloat(deal.cashback) || 0);
+}
+
+// Months costed: the borrower's horizon, capped at the loan term
+function horizonMonths(loan) {
+  return Math.min(Math.round((loan.horizonYears || DEFAULT_HORIZON_YEARS) * 12), Math.round(loan.years * 12));
+}
+
+// Months of the horizon spent on the product before it reverts
+function productMonths(deal, horizon) {
+  const termYears = parseInt(deal.termYears, 10);
+  return termYears > 0 ? Math.min(termYears * 12, horizon) : horizon;
+}
+
+// Monthly rates for `months` months: the deal rate for `onProduct` of them, then the SVR
+function ratePath(deal, svrRate, onProduct, months) {
+  const rate = parseFloat(deal.interestRate) || 0;
+  return Array.from({ length: months }, (_, i) => (i < onProduct ? rate : svrRate));
+}
+
+/**
+ * What a deal costs over `loan.horizonYears` (capped at the loan term): the
+ * deal rate for its term_years, then the lender's SVR on the balance left for
+ * the rest of the horizon, plus fees net of cashback. `total` is interest
+ * plus fees, leaving out capital repaid, so deals that revert early compare
+ * fairly with long fixes. Without a known `lenderSvr` the default SVR is
+ * used and `svrEstimated` is set. With `feesAddedToLoan` the arrangement
+ * fee is borrowed, so it still counts in `fees` but also accrues interest.
+ * Interest-only and part-and-part loans (`loan.repaymentType`) leave their
+ * interest-only part in `balanceAtHorizon`.
+ */
+function trueCost(deal, loan, lenderSvr = null, { feesAddedToLoan = false } = {}) {
+  const svrEstimated = lenderSvr === null || lenderSvr === undefined;
+  const svrRate = svrEstimated ? DEFAULT_SVR_RATE : parseFloat(lenderSvr);
+  const horizon = horizonMonths(loan);
+  const onProduct = productMonths(deal, horizon);
+  const rates = ratePath(deal, svrRate, onProduct, horizon);
+  const addedFee = feesAddedToLoan ? parseFloat(deal.arrangementFee) || 0 : 0;
+  const borrowed = loan.principal + addedFee;
+  const { payments, interest, balance } = projectPayments(
+    borrowed,
+    Math.round(loan.years * 12),
+    rates,
+    interestOnlyPortion(borrowed, loan)
+  );
+  const fees = netFees(deal);
+
+  return {
+    horizonYears: round2(horizon / 12),
+    svrRate,
+    svrEstimated,
+    revertsAtMonth: onProduct < horizon ? onProduct + 1 : null,
+    svrMonthlyPayment: onProduct < payments.length ? round2(payments[onProduct]) : null,
+    payments: round2(payments.reduce((sum, payment) => sum + payment, 0)),
+    interest: round2(interest),
+    fees: round2(fees),
+    feesAddedToLoan,
+    balanceAtHorizon: round2(balance),
+    total: round2(interest + fees)
+  };
+}
+
+module.exports = {
+  DEFAULT_HORIZON_YEARS,
+  DEFAULT_SVR_RATE,
+  netFees,
+  horizonMonths,
+  productMonths,
+  ratePath,
+  trueCost
+};
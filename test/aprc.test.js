@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { aprc } = require('../services/aprc');
+
+const base = { principal: 200000, months: 300, initialRate: 4.5, initialMonths: 300 };
+
+test('aprc: equals the rate compounded annually when there are no fees or reversion', () => {
+  // 4.5% nominal monthly is 4.59% a year compounded
+  assert.equal(aprc(base), 4.6);
+});
+
+test('aprc: reversion to a higher rate after the initial period pushes it up', () => {
+  const twoYearFix = aprc({ ...base, initialMonths: 24, reversionRate: 7.5 });
+  assert.ok(twoYearFix > 7 && twoYearFix < 7.5);
+});
+
+test('aprc: fees raise it whether paid upfront or added to the loan', () => {
+  const fees = { arrangementFee: 1999, valuationFee: 300, legalFees: 500 };
+  const upfront = aprc({ ...base, ...fees });
+  const added = aprc({ ...base, ...fees, feesAddedToLoan: true });
+
+  assert.ok(upfront > 4.6);
+  assert.ok(added > 4.6);
+  assert.equal(aprc({ ...base, principal: 0 }), null);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createBrowserPool } = require('../scrapers/browserPool');
+
+// Stand-in for a puppeteer browser; `failures` navigation attempts fail before one succeeds
+function fakeBrowser({ failures = 0 } = {}) {
+  const state = { launches: 0, open: 0, maxOpen: 0, gotos: 0, blocked: [] };
+  const launch = async () => {
+    state.launches++;
+    return {
+      close: async () => {},
+      newPage: async () => {
+        state.open++;
+        state.maxOpen = Math.max(state.maxOpen, state.open);
+        const handlers = {};
+        return {
+          setUserAgent: async () => {},
+          setRequestInterception: async () => {},
+          on: (event, handler) => { handlers[event] = handler; },
+          request: type => handlers.request({
+            resourceType: () => type,
+            abort: () => state.blocked.push(type),
+            continue: () => {}
+          }),
+          goto: async () => {
+            state.gotos++;
+            if (state.gotos <= failures) throw new Error('net::ERR_TIMED_OUT');
+          },
+          close: async () => { state.open--; }
+        };
+      }
+    };
+  };
+  return { state, launch };
+}
+
+test('browser pool: shares one browser and caps open pages', async () => {
+  const { state, launch } = fakeBrowser();
+  const pool = createBrowserPool({ launch, maxPages: 2, idleMs: 0 });
+
+  const wait = () => new Promise(resolve => setTimeout(resolve, 5));
+  await Promise.all([1, 2, 3, 4, 5].map(() => pool.withPage(wait)));
+
+  assert.equal(state.launches, 1);
+  assert.equal(state.maxOpen, 2);
+  assert.equal(state.open, 0);
+});
+
+test('browser pool: blocks images and fonts', async () => {
+  const { state, launch } = fakeBrowser();
+  const pool = createBrowserPool({ launch, idleMs: 0 });
+
+  await pool.withPage(async page => {
+    ['document', 'image', 'script', 'font'].forEach(type => page.request(type));
+  });
+
+  assert.deepEqual(state.blocked, ['image', 'font']);
+});
+
+test('browser pool: retries navigation with backoff, then gives up', async () => {
+  const { state, launch } = fakeBrowser({ failures: 2 });
+  const pool = createBrowserPool({ launch, backoffMs: 1, idleMs: 0 });
+
+  await pool.withPage(page => pool.navigate(page, 'https://example.test', { retries: 2 }));
+  assert.equal(state.gotos, 3);
+
+  const failing = fakeBrowser({ failures: 5 });
+  const failingPool = createBrowserPool({ launch: failing.launch, backoffMs: 1, idleMs: 0 });
+  await assert.rejects(
+    failingPool.withPage(page => failingPool.navigate(page, 'https://example.test', { retries: 1 })),
+    /ERR_TIMED_OUT/
+  );
+  assert.equal(failing.state.gotos, 2);
+  assert.equal(failing.state.open, 0);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { mergeDeals } = require('../services/dealMerger');
+
+const base = { lenderName: 'Nationwide Building Society', dealType: 'Fixed', termYears: 2, maxLTV: 60 };
+
+test('mergeDeals: one deal per product across sources, most trusted copy first', () => {
+  const merged = mergeDeals([
+    { ...base, id: 1, source: 'MoneySuperMarket', productName: '2 Year Fixed - 60% LTV', interestRate: '4.19', arrangementFee: '999.00' },
+    { ...base, id: 2, source: 'CompareTheMarket', productName: '2yr Fixed 60% LTV', interestRate: '4.19', arrangementFee: '999.00' },
+    { ...base, id: 3, source: 'DirectLenders', productName: 'Nationwide 2 Year Fixed', interestRate: '4.19', arrangementFee: '999.00' }
+  ]);
+
+  assert.equal(merged.length, 1);
+  assert.equal(merged[0].id, 3);
+  assert.deepEqual(merged[0].sources.map(s => s.source), ['DirectLenders', 'MoneySuperMarket', 'CompareTheMarket']);
+  assert.deepEqual(merged[0].disagreements, {});
+});
+
+test('mergeDeals: flags rate and fee disagreements between sources', () => {
+  const [deal] = mergeDeals([
+    { ...base, source: 'MoneySuperMarket', lenderName: 'Leeds BS', interestRate: 4.35, arrangementFee: 999 },
+    { ...base, source: 'CompareTheMarket', lenderName: 'Leeds Building Society', interestRate: 4.39, arrangementFee: 0 }
+  ]);
+
+  assert.deepEqual(deal.disagreements, { interestRate: [4.35, 4.39], arrangementFee: [0, 999] });
+});
+
+test('mergeDeals: keeps fee and fee-free variants from one source apart', () => {
+  const merged = mergeDeals([
+    { ...base, source: 'MoneySuperMarket', interestRate: 4.09, arrangementFee: 999 },
+    { ...base, source: 'MoneySuperMarket', interestRate: 4.39, arrangementFee: 0 },
+    { ...base, source: 'CompareTheMarket', interestRate: 4.39, arrangementFee: 0 },
+    { ...base, termYears: 5, source: 'CompareTheMarket', interestRate: 4.05, arrangementFee: 0 }
+  ]);
+
+  assert.equal(merged.length, 3);
+  assert.deepEqual(merged.map(d => d.sources.length), [1, 2, 1]);
+});
+
+test('mergeDeals: lists every source that saw an identical stored row', () => {
+  const [deal] = mergeDeals([
+    { ...base, id: 7, source: 'MoneySuperMarket', seenSources: ['MoneySuperMarket', 'CompareTheMarket'], interestRate: '4.15' },
+    { ...base, id: 8, source: 'DirectLenders', seenSources: ['DirectLenders'], interestRate: '4.15' }
+  ]);
+
+  assert.equal(deal.id, 8);
+  assert.deepEqual(deal.sources.map(s => [s.source, s.dealId]), [
+    ['DirectLenders', 8], ['MoneySuperMarket', 7], ['CompareTheMarket', 7]
+  ]);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseDealQuery, matchesFilters, pageDeals, projectDeal } = require('../services/dealQuery');
+
+const deals = [
+  { id: 1, interestRate: 4.19, totalCost2Years: 21000, freeValuation: true, parseConfidence: null },
+  { id: 2, interestRate: 4.05, totalCost2Years: 21500, freeValuation: false, parseConfidence: 0.4 },
+  { id: 3, interestRate: 4.35, totalCost2Years: 20800, freeValuation: true, parseConfidence: 0.9 },
+  { id: 4, interestRate: 4.05, totalCost2Years: null, freeValuation: true, parseConfidence: 1 }
+];
+
+test('parseDealQuery: validates filters, sort, limit and fields', () => {
+  const query = parseDealQuery({ maxRate: '4.2', termYears: '2', freeValuation: 'true', hasCashback: 'false' });
+  assert.deepEqual(query.filters, { maxRate: 4.2, termYears: 2, freeValuation: true });
+  assert.equal(query.limit, 50);
+  assert.equal(parseDealQuery({}, { limit: 100 }).limit, 100);
+  assert.equal(parseDealQuery({ limit: '500' }).limit, 100);
+
+  const codeOf = input => {
+    try {
+      parseDealQuery(input);
+    } catch (error) {
+      return `${error.status} ${error.message}`;
+    }
+  };
+  assert.equal(codeOf({ maxRate: 'cheap' }), '400 invalid_filter');
+  assert.equal(codeOf({ termYears: '2.5' }), '400 invalid_filter');
+  assert.equal(codeOf({ sort: 'lenderName' }), '400 invalid_sort');
+  assert.equal(codeOf({ limit: '0' }), '400 invalid_limit');
+  assert.equal(codeOf({ fields: 'interestRate,secret' }), '400 invalid_fields');
+  assert.equal(codeOf({ cursor: 'nonsense' }), '400 invalid_cursor');
+});
+
+test('matchesFilters: same semantics as the SQL filters', () => {
+  const match = matchesFilters(parseDealQuery({ maxRate: '4.2', minConfidence: '0.5' }).filters);
+  assert.deepEqual(deals.filter(match).map(d => d.id), [1, 4]);
+  assert.equal(matchesFilters({})({ id: 5, withdrawnAt: '2026-01-01' }), false);
+  assert.equal(matchesFilters({}, { includeWithdrawn: true })({ id: 5, withdrawnAt: '2026-01-01' }), true);
+});
+
+test('pageDeals: sorts by a metric and walks every deal once by cursor', () => {
+  const first = pageDeals(deals, parseDealQuery({ sort: 'totalCost2Years', limit: '2' }));
+  assert.deepEqual(first.deals.map(d => d.id), [3, 1]);
+
+  const second = pageDeals(deals, parseDealQuery({ sort: 'totalCost2Years', limit: '2', cursor: first.nextCursor }));
+  // Deals without the metric come last
+  assert.deepEqual(second.deals.map(d => d.id), [2, 4]);
+  assert.equal(second.nextCursor, null);
+
+  const byRate = pageDeals(deals, parseDealQuery({ sort: 'interestRate', order: 'desc' }));
+  assert.deepEqual(byRate.deals.map(d => d.id), [3, 1, 2, 4]);
+
+  assert.throws(() => parseDealQuery({ sort: 'interestRate', cursor: first.nextCursor }), /invalid_cursor/);
+});
+
+test('projectDeal: keeps requested fields and the id', () => {
+  assert.deepEqual(projectDeal(deals[0], ['interestRate']), { id: 1, interestRate: 4.19 });
+  assert.equal(projectDeal(deals[0], null), deals[0]);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateDeal, screenDeals, fingerprint, productKey } = require('../services/dealValidator');
+
+const LENDERS = [{ id: 1, canonicalName: 'Nationwide Building Society', aliases: ['Nationwide'], lenderType: 'building_society' }];
+const good = { lenderName: 'Nationwide', productName: '2 Year Fixed - 60% LTV', interestRate: 4.19, arrangementFee: 999 };
+
+function codes(deal, context) {
+  return validateDeal(deal, context).map(reason => reason.code);
+}
+
+test('validateDeal: passes a complete deal from a known lender', () => {
+  assert.deepEqual(codes({ ...good, lenderId: 1 }), []);
+});
+
+test('validateDeal: flags unknown lenders, odd rates and missing fees', () => {
+  assert.deepEqual(codes({ ...good, lenderName: 'Unknown Lender' }), ['unknown_lender']);
+  assert.deepEqual(codes({ ...good, lenderId: 1, interestRate: 0.1 }), ['rate_out_of_range']);
+  assert.deepEqual(codes({ ...good, lenderId: 1, interestRate: 5.5 }, { previousRate: 4.19 }), ['implausible_rate_change']);
+  assert.deepEqual(codes({ ...good, lenderId: 1, arrangementFee: undefined }), ['missing_fee']);
+  assert.deepEqual(codes({ ...good, lenderId: 1, arrangementFee: 0 }), []);
+});
+
+test('validateDeal: flags page text used as a product name', () => {
+  assert.deepEqual(codes({ ...good, lenderId: 1, productName: '4.19% Mortgage' }), ['garbage_name']);
+  assert.deepEqual(codes({ ...good, lenderId: 1, productName: '2 Year Fixed4.19%£999Apply now' }), ['garbage_name']);
+  assert.deepEqual(codes({ ...good, lenderId: 1, productName: '--' }), ['garbage_name']);
+});
+
+test('screenDeals: quarantines suspicious deals and honours earlier reviews', () => {
+  const deals = [
+    good,
+    { ...good, productName: '5 Year Fixed - 60% LTV', interestRate: 5.9 },
+    { ...good, productName: 'Rates', interestRate: 4.5 },
+    { ...good, productName: 'Rates', interestRate: 4.9 },
+    { ...good, lenderName: 'Kensington', productName: '5 Year Fixed', interestRate: 5.1 },
+    { ...good, lenderName: 'Bluestone', productName: '2 Year Fixed', interestRate: 6.2 }
+  ];
+  const decisions = new Map([
+    [fingerprint(deals[4]), 'approved'],
+    [fingerprint(deals[5]), 'rejected']
+  ]);
+  const saved = { ...good, lenderName: 'Nationwide Building Society' };
+  const previousRates = new Map([
+    [productKey(saved), 4.29],
+    [productKey({ ...saved, productName: '5 Year Fixed - 60% LTV' }), 4.4]
+  ]);
+
+  const { accepted, quarantined, rejected } = screenDeals(deals, { lenders: LENDERS, previousRates, decisions });
+
+  assert.deepEqual(accepted.map(d => d.lenderName), ['Nationwide Building Society', 'Kensington']);
+  assert.deepEqual(quarantined.map(q => q.reasons.map(r => r.code)), [
+    ['implausible_rate_change'],
+    ['duplicate_name'],
+    ['duplicate_name']
+  ]);
+  assert.equal(rejected.length, 1);
+});
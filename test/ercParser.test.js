@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseEarlyRepaymentCharges, ercPercentForYear, exitCost } = require('../services/ercParser');
+
+const CASES = [
+  ['2% Year 1, 1% Year 2', [{ year: 1, percent: 2 }, { year: 2, percent: 1 }]],
+  ['Year 1: 3%, Year 2: 2%', [{ year: 1, percent: 3 }, { year: 2, percent: 2 }]],
+  ['5%, 4%, 3%', [{ year: 1, percent: 5 }, { year: 2, percent: 4 }, { year: 3, percent: 3 }]],
+  ['5/4/3%', [{ year: 1, percent: 5 }, { year: 2, percent: 4 }, { year: 3, percent: 3 }]],
+  ['3% for 2 years', [{ year: 1, percent: 3 }, { year: 2, percent: 3 }]],
+  ['None', []],
+  ['No ERCs', []],
+  ['', null],
+  [null, null],
+  ['Please see product guide', null]
+];
+
+for (const [text, expected] of CASES) {
+  test(`parseEarlyRepaymentCharges: ${JSON.stringify(text)}`, () => {
+    assert.deepEqual(parseEarlyRepaymentCharges(text), expected);
+  });
+}
+
+test('ercPercentForYear: stored tiers first, no charge past the last tier', () => {
+  const deal = { ercTiers: [{ year: 1, percent: 4 }], earlyRepaymentCharges: '2% Year 1' };
+  assert.equal(ercPercentForYear(deal, 1), 4);
+  assert.equal(ercPercentForYear(deal, 2), 0);
+  assert.equal(ercPercentForYear({ earlyRepaymentCharges: 'unknown' }, 1), 0);
+});
+
+test('exitCost: charge on the balance owed at the start of the exit month', () => {
+  const deal = { dealType: 'Fixed', interestRate: 4, earlyRepaymentCharges: '3% Year 1, 2% Year 2' };
+  const first = exitCost(deal, { principal: 100000, years: 25 }, 1);
+  assert.equal(first.balance, 100000);
+  assert.equal(first.charge, 3000);
+
+  const second = exitCost(deal, { principal: 100000, years: 25 }, 13);
+  assert.equal(second.ercPercent, 2);
+  assert.ok(second.balance < 100000);
+  assert.equal(second.charge, Math.round(second.balance * 2) / 100);
+});
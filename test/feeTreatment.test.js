@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { compareFeeTreatments } = require('../services/feeTreatment');
+
+const loan = { principal: 200000, years: 25, horizonYears: 5, baselineMonthly: 1400 };
+const deal = { interestRate: 4.5, termYears: 5, arrangementFee: 1999, valuationFee: 0, legalFees: 300, cashback: 0 };
+
+test('compareFeeTreatments: adding the fee raises payments and interest but not cash fees', () => {
+  const fees = compareFeeTreatments(deal, loan, 7.5);
+
+  assert.equal(fees.treatment, 'upfront');
+  assert.equal(fees.upfront.upfrontFees, 2299);
+  assert.equal(fees.added.upfrontFees, 300);
+  assert.equal(fees.added.addedToLoan, 1999);
+  assert.ok(fees.difference.monthlyPayment > 10);
+  // Interest on the borrowed fee over the whole term, not just the horizon
+  assert.ok(fees.difference.totalInterest > fees.difference.trueCost);
+  assert.ok(fees.upfront.totalInterest > fees.upfront.trueCostBreakdown.interest * 3);
+  // Less cash up front breaks even sooner despite the higher payment
+  assert.ok(fees.added.breakEvenMonths < fees.upfront.breakEvenMonths);
+});
+
+test('compareFeeTreatments: cheapest weighs the interest on the fee against what the cash would earn', () => {
+  assert.equal(compareFeeTreatments(deal, { ...loan, feeTreatment: 'added' }).treatment, 'added');
+  assert.equal(compareFeeTreatments(deal, { ...loan, feeTreatment: 'cheapest', savingsRate: 2 }).treatment, 'upfront');
+  assert.equal(compareFeeTreatments(deal, { ...loan, feeTreatment: 'cheapest', savingsRate: 8 }).treatment, 'added');
+  assert.equal(compareFeeTreatments({ ...deal, arrangementFee: 0 }, loan).difference.monthlyPayment, 0);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { lenderKey, matchLender, findLender, applyLender, offersRepaymentType, repaymentTypeUnverified } = require('../services/lenderDirectory');
+
+const LENDERS = [
+  { id: 1, canonicalName: 'Leeds Building Society', aliases: ['Leeds'], lenderType: 'building_society' },
+  { id: 2, canonicalName: 'Coutts', aliases: ['Coutts & Co'], lenderType: 'private_bank' }
+];
+
+test('lenderKey: ignores case, punctuation, suffixes and "BS"', () => {
+  assert.equal(lenderKey('Leeds BS'), 'leeds building society');
+  assert.equal(lenderKey('LEEDS BUILDING SOCIETY PLC'), 'leeds building society');
+  assert.equal(lenderKey('Coutts & Co.'), 'coutts and co');
+});
+
+test('matchLender: matches canonical names and aliases', () => {
+  assert.equal(matchLender('Leeds BS', LENDERS).id, 1);
+  assert.equal(matchLender('Leeds', LENDERS).id, 1);
+  assert.equal(matchLender('Coutts and Co', LENDERS).id, 2);
+  assert.equal(matchLender('Unknown Lender', LENDERS), null);
+  assert.equal(matchLender('', LENDERS), null);
+});
+
+test('findLender: prefers the lender id and falls back to the lender name', () => {
+  assert.equal(findLender({ lenderId: 2, lenderName: 'Leeds BS' }, LENDERS).id, 2);
+  assert.equal(findLender({ lenderId: null, lenderName: 'Leeds BS' }, LENDERS).id, 1);
+  assert.equal(findLender({ lenderId: null, lenderName: 'Unknown Lender' }, LENDERS), null);
+});
+
+test('applyLender: rewrites name and type for known lenders only', () => {
+  const known = applyLender({ lenderName: 'Leeds BS', lenderType: 'UK Mainstream' }, LENDERS);
+  assert.equal(known.lenderId, 1);
+  assert.equal(known.lenderName, 'Leeds Building Society');
+  assert.equal(known.lenderType, 'UK Building Society');
+
+  const unknown = applyLender({ lenderName: 'Unknown Lender', lenderType: 'UK Mainstream' }, LENDERS);
+  assert.equal(unknown.lenderId, null);
+  assert.equal(unknown.lenderName, 'Unknown Lender');
+});
+
+test('offersRepaymentType: only lenders marked as not offering interest-only are ruled out', () => {
+  const noInterestOnly = { ...LENDERS[0], offersInterestOnly: false };
+  assert.equal(offersRepaymentType(noInterestOnly, 'repayment'), true);
+  assert.equal(offersRepaymentType(noInterestOnly, 'part_and_part'), false);
+  assert.equal(offersRepaymentType(LENDERS[1], 'interest_only'), true);
+  assert.equal(offersRepaymentType(null, 'interest_only'), true);
+});
+
+test('repaymentTypeUnverified: interest-only deals from lenders the directory has not marked', () => {
+  assert.equal(repaymentTypeUnverified(null, 'repayment'), false);
+  assert.equal(repaymentTypeUnverified(null, 'interest_only'), true);
+  assert.equal(repaymentTypeUnverified(LENDERS[1], 'part_and_part'), true);
+  assert.equal(repaymentTypeUnverified({ ...LENDERS[1], offersInterestOnly: true }, 'interest_only'), false);
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { round2, interestOnlyPortion, monthlyPayment, amortisationSchedule, projectPayments } = require('../services/mortgageMath');
+
+test('interestOnlyPortion: none, all or the split amount', () => {
+  assert.equal(interestOnlyPortion(200000), 0);
+  assert.equal(interestOnlyPortion(200000, { repaymentType: 'interest_only' }), 200000);
+  assert.equal(interestOnlyPortion(200000, { repaymentType: 'part_and_part', interestOnlyAmount: 50000 }), 50000);
+  assert.equal(interestOnlyPortion(40000, { repaymentType: 'part_and_part', interestOnlyAmount: 50000 }), 40000);
+});
+
+test('monthlyPayment: part-and-part is repayment on one part plus interest on the other', () => {
+  const repayment = monthlyPayment(150000, 4.8, 300);
+  assert.equal(round2(monthlyPayment(200000, 4.8, 300, 50000)), round2(repayment + 200));
+  assert.equal(monthlyPayment(200000, 4.8, 300, 200000), 800);
+});
+
+test('amortisationSchedule and projectPayments: the interest-only part is still owed at the end', () => {
+  const schedule = amortisationSchedule(200000, 4.8, 300, 50000);
+  assert.equal(schedule[schedule.length - 1].balance, 50000);
+
+  const { interest, balance } = projectPayments(200000, 300, Array(300).fill(4.8), 200000);
+  assert.equal(round2(balance), 200000);
+  assert.equal(round2(interest), 240000);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseProductName, normaliseDeal, LIFETIME_TERM_YEARS } = require('../scrapers/normaliser');
+
+test('parseProductName: recognises deal types', () => {
+  assert.equal(parseProductName('2 Year Fixed - 75% LTV').dealType, 'Fixed');
+  assert.equal(parseProductName('5 Year Tracker - 60% LTV').dealType, 'Tracker');
+  assert.equal(parseProductName('2 Year Discounted Variable').dealType, 'Discount');
+  assert.equal(parseProductName('Standard Variable Rate').dealType, 'Variable');
+  assert.equal(parseProductName('Home Purchase Plan').dealType, undefined);
+});
+
+test('parseProductName: reads terms in years, months, fixed-until dates and lifetime products', () => {
+  assert.equal(parseProductName('5 Year Tracker - 60% LTV').termYears, 5);
+  assert.equal(parseProductName('2yr fixed').termYears, 2);
+  assert.equal(parseProductName('10-year Fixed').termYears, 10);
+  assert.equal(parseProductName('24 month fixed').termYears, 2);
+  assert.equal(parseProductName(`Fixed until 31/12/${new Date().getFullYear() + 3}`).termYears, 3);
+
+  const lifetime = parseProductName('Lifetime Tracker - 75% LTV');
+  assert.equal(lifetime.termYears, LIFETIME_TERM_YEARS);
+  assert.equal(lifetime.lifetime, true);
+});
+
+test('parseProductName: reads LTV tiers', () => {
+  assert.equal(parseProductName('5 Year Tracker - 60% LTV').maxLTV, 60);
+  assert.equal(parseProductName('2 Year Fixed (LTV up to 85%)').maxLTV, 85);
+  assert.equal(parseProductName('2 Year Fixed 90% max LTV').maxLTV, 90);
+  assert.equal(parseProductName('2 Year Fixed').maxLTV, undefined);
+});
+
+test('parseProductName: reads fee, cashback and free extras mentions', () => {
+  const parsed = parseProductName('2 Year Fixed, £1,499 product fee, £500 cashback, free valuation and free legals');
+  assert.equal(parsed.arrangementFee, 1499);
+  assert.equal(parsed.cashback, 500);
+  assert.equal(parsed.freeValuation, true);
+  assert.equal(parsed.freeLegalWork, true);
+
+  assert.equal(parseProductName('5 Year Fixed - No Fee').arrangementFee, 0);
+  assert.equal(parseProductName('5 Year Fixed fee-free').arrangementFee, 0);
+});
+
+test('parseProductName: reads tracker margins and collars', () => {
+  const lifetime = parseProductName('Lifetime Tracker BBR + 0.79%, 3% collar');
+  assert.equal(lifetime.trackerMargin, 0.79);
+  assert.equal(lifetime.rateCollar, 3);
+
+  assert.equal(parseProductName('2 Year Tracker at 0.54% above Bank of England base rate').trackerMargin, 0.54);
+
+  const discounted = parseProductName('Tracker Base Rate - 0.1% with a floor of 2.5%');
+  assert.equal(discounted.trackerMargin, -0.1);
+  assert.equal(discounted.rateCollar, 2.5);
+
+  assert.equal(parseProductName('2 Year Tracker - 60% LTV').trackerMargin, undefined);
+});
+
+test('normaliseDeal: prefers scraped attributes, then the product name, then defaults', () => {
+  const fromPage = normaliseDeal({ productName: '5 Year Tracker - 60% LTV', maxLTV: 65 });
+  assert.equal(fromPage.maxLTV, 65);
+  assert.equal(fromPage.dealType, 'Tracker');
+  assert.equal(fromPage.termYears, 5);
+  assert.equal(fromPage.parseConfidence, 1);
+
+  const defaulted = normaliseDeal({ productName: 'Special offer' });
+  assert.equal(defaulted.dealType, 'Fixed');
+  assert.equal(defaulted.termYears, 2);
+  assert.equal(defaulted.maxLTV, 75);
+  assert.equal(defaulted.parseConfidence, 0);
+
+  assert.equal(normaliseDeal({ productName: '3 Year Fixed' }).parseConfidence, 0.67);
+});
+
+test('normaliseDeal: only fills fees from the name when the page gave none', () => {
+  assert.equal(normaliseDeal({ productName: '2 Year Fixed £999 fee', arrangementFee: null }).arrangementFee, 999);
+  assert.equal(normaliseDeal({ productName: '2 Year Fixed £999 fee', arrangementFee: 0 }).arrangementFee, 0);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { simulateOverpayments } = require('../services/overpaymentSimulator');
+
+const deal = { interestRate: 4, termYears: 2, overpaymentAllowance: 10, earlyRepaymentCharges: '2% Year 1, 1% Year 2' };
+const loan = { principal: 200000, years: 25 };
+
+test('simulateOverpayments: within the allowance is penalty-free and shortens the term', () => {
+  const result = simulateOverpayments(deal, loan, { monthlyOverpayment: 500 });
+  assert.equal(result.excessOverpaid, 0);
+  assert.equal(result.ercCharged, 0);
+  assert.equal(result.penaltyFreeOverpaid, result.totalOverpaid);
+  assert.ok(result.monthsSaved > 0);
+  assert.equal(result.termMonths + result.monthsSaved, 300);
+  assert.ok(result.interestSaved > 0);
+});
+
+test('simulateOverpayments: above the allowance pays that year\'s ERC on the excess', () => {
+  const result = simulateOverpayments(deal, loan, { lumpSums: [{ month: 1, amount: 30000 }] });
+  // 10% of £200,000 is penalty-free; the other £10,000 is charged at 2%
+  assert.equal(result.penaltyFreeOverpaid, 20000);
+  assert.equal(result.excessOverpaid, 10000);
+  assert.equal(result.ercCharged, 200);
+  assert.equal(result.netSaving, Math.round((result.interestSaved - 200) * 100) / 100);
+});
+
+test('simulateOverpayments: stayWithinAllowance holds back the excess instead', () => {
+  const result = simulateOverpayments(deal, loan, { lumpSums: [{ month: 1, amount: 30000 }], stayWithinAllowance: true });
+  assert.equal(result.totalOverpaid, 20000);
+  assert.equal(result.overpaymentNotMade, 10000);
+  assert.equal(result.excessOverpaid, 0);
+  assert.equal(result.ercCharged, 0);
+});
+
+test('simulateOverpayments: no allowance limit once the deal period ends', () => {
+  const result = simulateOverpayments(deal, loan, { lumpSums: [{ month: 25, amount: 50000 }] });
+  assert.equal(result.excessOverpaid, 0);
+  assert.equal(result.ercCharged, 0);
+  assert.ok(result.monthsSaved > 0);
+});
+
+test('simulateOverpayments: reverting to the SVR can reverse the ranking of a short, cheap fix', () => {
+  const shortFix = { interestRate: 3.5, termYears: 2, earlyRepaymentCharges: 'None' };
+  const longFix = { interestRate: 4, termYears: 5, earlyRepaymentCharges: 'None' };
+  const plan = { monthlyOverpayment: 200 };
+
+  // Held at the deal rate for the whole term the short fix is cheaper...
+  assert.ok(simulateOverpayments(shortFix, loan, plan, 3.5).totalInterest < simulateOverpayments(longFix, loan, plan, 4).totalInterest);
+  // ...but three more years on the SVR make it the dearer deal
+  const short = simulateOverpayments(shortFix, loan, plan, 7.5);
+  const long = simulateOverpayments(longFix, loan, plan, 7.5);
+  assert.equal(short.svrRate, 7.5);
+  assert.ok(short.totalInterest > long.totalInterest);
+});
+
+test('simulateOverpayments: interest-only payments fall with the balance rather than repaying capital', () => {
+  const interestOnly = { ...loan, repaymentType: 'interest_only' };
+  const result = simulateOverpayments(deal, interestOnly, { monthlyOverpayment: 500 }, 4);
+  assert.equal(result.totalOverpaid, 150000);
+  assert.equal(result.balanceOwedAtEnd, 50000);
+  assert.equal(result.monthsSaved, 0);
+  // Interest is only saved on the capital overpaid, month by month
+  const expectedInterest = Array.from({ length: 300 }, (_, i) => (200000 - 500 * i) * 0.04 / 12).reduce((a, b) => a + b, 0);
+  assert.equal(result.totalInterest, Math.round(expectedInterest * 100) / 100);
+});
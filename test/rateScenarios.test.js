@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { BASE_RATE, trackerRate, currentRate, basePath, projectScenario } = require('../services/rateScenarios');
+
+const loan = { principal: 200000, years: 25, horizonYears: 2 };
+const tracker = { dealType: 'Tracker', interestRate: 4.79, trackerMargin: 0.79, rateCollar: 4.5, termYears: 2 };
+const fixed = { dealType: 'Fixed', interestRate: 4.19, termYears: 2, arrangementFee: 999 };
+
+test('trackerRate: base plus margin, held up by the collar', () => {
+  assert.equal(trackerRate(tracker, 5), 5.79);
+  assert.equal(trackerRate(tracker, 3), 4.5);
+  assert.equal(trackerRate({ ...tracker, rateCollar: null }, 3), 3.79);
+  // Trackers stored before the margin was: quoted rate less today's base rate
+  assert.equal(currentRate({ dealType: 'Tracker', interestRate: BASE_RATE + 1 }), BASE_RATE + 1);
+});
+
+test('basePath: named shifts and custom monthly paths holding their last rate', () => {
+  assert.deepEqual(basePath('up1', 2), [BASE_RATE + 1, BASE_RATE + 1]);
+  assert.deepEqual(basePath([4, 3.75, 3.5], 5), [4, 3.75, 3.5, 3.5, 3.5]);
+});
+
+test('projectScenario: tracker payments follow base rate while the fix holds', () => {
+  const up = basePath('up1', 24);
+  const down = basePath('down1', 24);
+
+  assert.deepEqual(projectScenario(fixed, loan, up).monthlyPayments, projectScenario(fixed, loan, down).monthlyPayments);
+  assert.ok(projectScenario(tracker, loan, up).totalCost > projectScenario(tracker, loan, down).totalCost);
+
+  const collared = projectScenario(tracker, loan, basePath([1], 24));
+  assert.ok(collared.rates.every(rate => rate === 4.5));
+  assert.equal(collared.monthlyPayments.length, 24);
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { decide, asProductTransfer, withSwitchingCosts } = require('../services/remortgageAdvisor');
+
+const today = new Date('2026-10-19');
+const profile = {
+  outstandingBalance: 200000,
+  ltv: 60,
+  remainingTermYears: 20,
+  currentRate: 2.1,
+  svrRate: 7.99,
+  currentLender: 'Halifax',
+  dealEndDate: '2027-01-15',
+  daysUntilExpiry: 88,
+  currentErcPercent: 1,
+  maxUpfrontFees: null
+};
+const deal = { dealType: 'Fixed', termYears: 5, maxLTV: 75, arrangementFee: 999 };
+
+test('decide: ranks product transfers and switches against staying on SVR', () => {
+  const decision = decide(profile, [
+    asProductTransfer({ ...deal, id: 1, lenderName: 'Halifax', productName: '5 Year Fixed', interestRate: 4.3 }),
+    { ...deal, id: 2, lenderName: 'Nationwide', productName: '5 Year Fixed', interestRate: 4.29 },
+    { ...deal, id: 3, lenderName: 'HSBC', productName: '5 Year Fixed', interestRate: 3.5, maxLTV: 50 }
+  ], { today });
+
+  assert.equal(decision.urgency, 'high');
+  assert.equal(decision.borrower.dealEndsInMonths, 3);
+  // HSBC is over the borrower's LTV; Nationwide's lower rate does not cover legal and valuation costs
+  assert.deepEqual(decision.options.map(o => o.kind), ['product_transfer', 'switch', 'stay_on_svr']);
+  assert.equal(decision.recommendation.dealId, 'pt-1');
+  assert.deepEqual(decision.options[1].costs.valuationFee, 350);
+  assert.ok(decision.recommendation.savingVsSvr > 0);
+  assert.match(decision.recommendation.summary, /^Product transfer to Halifax/);
+  // Waiting for the deal to end beats paying a £2,000 ERC to move three months early
+  assert.equal(decision.options[0].startsInMonths, 3);
+  assert.match(decision.options[0].reasons.join(' '), /avoids a £2,000 ERC/);
+});
+
+test('decide: the current lender\'s market deals are priced as switches', () => {
+  const decision = decide(profile, [
+    { ...deal, id: 1, lenderName: 'Halifax', productName: '5 Year Fixed', interestRate: 4.3 }
+  ], { today });
+
+  const option = decision.options.find(o => o.dealId === 1);
+  assert.equal(option.kind, 'switch');
+  assert.equal(option.costs.valuationFee, 350);
+  assert.ok(option.costs.legalFees > 0);
+});
+
+test('decide: moves straight away when the saving outweighs the ERC', () => {
+  const decision = decide({ ...profile, currentRate: 7, dealEndDate: '2028-10-19', currentErcPercent: 0.5 }, [
+    { ...deal, id: 1, lenderName: 'Nationwide', productName: '5 Year Fixed', interestRate: 4, freeValuation: true, freeLegalWork: true }
+  ], { today });
+
+  assert.equal(decision.options[0].startsInMonths, 0);
+  assert.equal(decision.options[0].costs.erc, 1000);
+});
+
+test('decide: options over the fee budget rank after those within it', () => {
+  const decision = decide({ ...profile, maxUpfrontFees: 500 }, [
+    { ...deal, id: 1, lenderName: 'Halifax', productName: '5 Year Fixed', interestRate: 4.3 }
+  ], { today });
+
+  assert.equal(decision.options[0].kind, 'stay_on_svr');
+  assert.equal(decision.options[1].withinFeeBudget, false);
+});
+
+test('decide: stored retention offers are product transfers whatever the lender is called', () => {
+  const offer = asProductTransfer({ id: 7, lenderName: 'Halifax (retention)', productName: '5 Year Fixed', interestRate: 4.3, termYears: 5, arrangementFee: 0 });
+  const decision = decide(profile, [offer], { today });
+
+  assert.equal(decision.options[0].kind, 'product_transfer');
+  assert.equal(decision.options[0].dealId, 'pt-7');
+  assert.equal(decision.options[0].costs.legalFees, 0);
+});
+
+test('withSwitchingCosts: market deals carry estimated valuation and legal costs', () => {
+  const priced = withSwitchingCosts({ ...deal, freeValuation: true });
+  assert.equal(priced.valuationFee, 0);
+  assert.equal(priced.legalFees, 1000);
+  assert.deepEqual(priced.estimatedCosts, ['legal']);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { assessHealth } = require('../services/scraperHealth');
+
+const run = (dealsFound, extra = {}) => ({ status: dealsFound > 0 ? 'success' : 'empty', dealsFound, pagesLoaded: 1, cardsMatched: dealsFound, durationMs: 1000, ...extra });
+
+test('assessHealth: healthy when runs keep finding a normal number of deals', () => {
+  const health = assessHealth('MoneySuperMarket', [run(20), run(22), run(18)]);
+  assert.equal(health.status, 'healthy');
+  assert.equal(health.averageDeals, 20);
+  assert.equal(health.dealsVsAverage, 1);
+  assert.deepEqual(health.problems, []);
+});
+
+test('assessHealth: degraded when a run finds far fewer deals than usual', () => {
+  const health = assessHealth('MoneySuperMarket', [run(5), run(20), run(20)]);
+  assert.equal(health.status, 'degraded');
+  assert.equal(health.dealsVsAverage, 0.25);
+});
+
+test('assessHealth: failing on a selector miss or a streak of empty runs', () => {
+  const miss = assessHealth('MoneySuperMarket', [run(0), run(20)]);
+  assert.equal(miss.status, 'failing');
+  assert.equal(miss.selectorMiss, true);
+
+  const offline = { status: 'error', dealsFound: 0, pagesLoaded: 0, errorMessage: 'net::ERR_TIMED_OUT' };
+  const once = assessHealth('CompareTheMarket', [offline, run(20)]);
+  assert.equal(once.status, 'degraded');
+
+  const twice = assessHealth('CompareTheMarket', [offline, offline, run(20)]);
+  assert.equal(twice.status, 'failing');
+  assert.equal(twice.zeroStreak, 2);
+  assert.equal(twice.errorStreak, 2);
+});
+
+test('assessHealth: unknown before the first run', () => {
+  assert.equal(assessHealth('DirectLenders', []).status, 'unknown');
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const moneySuperMarket = require('../scrapers/moneySuperMarket');
+const compareTheMarket = require('../scrapers/compareTheMarket');
+const directLenders = require('../scrapers/directLenders');
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+}
+
+test('MoneySuperMarket: extracts lender, product, rate, fee and LTV from result cards', () => {
+  const deals = moneySuperMarket.parseResults(fixture('moneySuperMarket-results.html'));
+  const nationwide = deals.find(d => d.lenderName === 'Nationwide');
+
+  assert.equal(nationwide.productName, '2 Year Fixed - 60% LTV');
+  assert.equal(nationwide.interestRate, 4.19);
+  assert.equal(nationwide.arrangementFee, 999);
+  assert.equal(nationwide.maxLTV, 60);
+});
+
+test('MoneySuperMarket: takes deal type and term from the product name', () => {
+  const deals = moneySuperMarket.parseResults(fixture('moneySuperMarket-results.html'));
+
+  const barclays = deals.find(d => d.lenderName === 'Barclays');
+  assert.equal(barclays.dealType, 'Fixed');
+  assert.equal(barclays.termYears, 5);
+  assert.equal(barclays.parseConfidence, 1);
+
+  const coventry = deals.find(d => d.lenderName === 'Coventry Building Society');
+  assert.equal(coventry.dealType, 'Tracker');
+  assert.equal(coventry.termYears, 2);
+});
+
+test('MoneySuperMarket: trims names, reads fees with separators and treats "No fee" as zero', () => {
+  const deals = moneySuperMarket.parseResults(fixture('moneySuperMarket-results.html'));
+
+  const barclays = deals.find(d => d.lenderName === 'Barclays');
+  assert.equal(barclays.interestRate, 4.35);
+  assert.equal(barclays.arrangementFee, 0);
+
+  const coventry = deals.find(d => d.lenderName === 'Coventry Building Society');
+  assert.equal(coventry.arrangementFee, 1499);
+  assert.equal(coventry.maxLTV, 75);
+});
+
+test('MoneySuperMarket: falls back for missing fields and skips cards without a sane rate', () => {
+  const deals = moneySuperMarket.parseResults(fixture('moneySuperMarket-results.html'));
+
+  assert.equal(deals.length, 4);
+  assert.ok(deals.some(d => d.lenderName === 'Unknown Lender' && d.productName === '5.09% Mortgage'));
+  assert.ok(!deals.some(d => d.lenderName === 'Broken Bank'));
+  assert.ok(!deals.some(d => d.lenderName === 'Typo Bank'));
+});
+
+test('MoneySuperMarket: returns nothing for a page without result cards', () => {
+  assert.deepEqual(moneySuperMarket.parseResults('<html><body><p>No results</p></body></html>'), []);
+});
+
+test('CompareTheMarket: extracts lender, product and rate from product cards', () => {
+  const deals = compareTheMarket.parseResults(fixture('compareTheMarket-results.html'));
+
+  assert.equal(deals.length, 3);
+  assert.deepEqual(
+    deals.map(d => [d.lenderName, d.productName, d.interestRate]),
+    [
+      ['HSBC', '5 Year Fixed - 75% LTV', 4.29],
+      ['Monzo', '5 Year Fixed - 60% LTV', 4.15],
+      ['Unknown Lender', '4.49% Mortgage', 4.49]
+    ]
+  );
+});
+
+test('CompareTheMarket: takes term and LTV from the product name instead of fixed defaults', () => {
+  const deals = compareTheMarket.parseResults(fixture('compareTheMarket-results.html'));
+
+  const monzo = deals.find(d => d.lenderName === 'Monzo');
+  assert.equal(monzo.termYears, 5);
+  assert.equal(monzo.maxLTV, 60);
+
+  const unnamed = deals.find(d => d.lenderName === 'Unknown Lender');
+  assert.equal(unnamed.parseConfidence, 0);
+});
+
+test('DirectLenders: reads rate rows from tables and rate-row blocks', () => {
+  const lender = { name: 'Nationwide', type: 'UK Mainstream' };
+  const deals = directLenders.parseRatesPage(fixture('directLenders-nationwide.html'), lender);
+
+  assert.deepEqual(deals.map(d => d.interestRate), [4.19, 3.99, 4.59]);
+  assert.deepEqual(deals.map(d => [d.dealType, d.termYears]), [['Fixed', 2], ['Fixed', 5], ['Fixed', 10]]);
+  assert.ok(deals.every(d => d.lenderName === 'Nationwide' && d.lenderType === 'UK Mainstream'));
+});
+
+test('DirectLenders: skips header, rate-less and single-cell rows', () => {
+  const lender = { name: 'Nationwide', type: 'UK Mainstream' };
+  const deals = directLenders.parseRatesPage(fixture('directLenders-nationwide.html'), lender);
+
+  assert.ok(!deals.some(d => /Variable|Rates correct/.test(d.productName)));
+});
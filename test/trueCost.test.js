@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { trueCost } = require('../services/trueCost');
+
+const loan = { principal: 200000, years: 25, horizonYears: 5 };
+
+test('trueCost: a short fix reverts to the lender SVR for the rest of the horizon', () => {
+  const cost = trueCost({ interestRate: 4, termYears: 2, arrangementFee: 999, cashback: 250 }, loan, 8);
+
+  assert.equal(cost.revertsAtMonth, 25);
+  assert.equal(cost.svrRate, 8);
+  assert.equal(cost.svrEstimated, false);
+  assert.equal(cost.fees, 749);
+  assert.ok(cost.svrMonthlyPayment > 1300);
+  assert.equal(cost.total, Math.round((cost.interest + cost.fees) * 100) / 100);
+});
+
+test('trueCost: a cheaper 2-year fix can cost more over 5 years than a 5-year fix', () => {
+  const twoYear = trueCost({ interestRate: 3.9, termYears: 2, arrangementFee: 0 }, loan, 7.5);
+  const fiveYear = trueCost({ interestRate: 4.2, termYears: 5, arrangementFee: 999 }, loan, 7.5);
+
+  assert.equal(fiveYear.revertsAtMonth, null);
+  assert.ok(twoYear.total > fiveYear.total);
+});
+
+test('trueCost: falls back to the default SVR and caps the horizon at the loan term', () => {
+  const cost = trueCost({ interestRate: 4, termYears: 2 }, { principal: 50000, years: 3, horizonYears: 10 });
+
+  assert.equal(cost.svrEstimated, true);
+  assert.equal(cost.horizonYears, 3);
+  assert.equal(cost.balanceAtHorizon, 0);
+});